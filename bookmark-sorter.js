@@ -3,14 +3,53 @@
 
 const fs = require("node:fs/promises");
 const path = require("node:path");
+const os = require("node:os");
+const http = require("node:http");
+const https = require("node:https");
 const { execSync } = require("node:child_process");
 const crypto = require("node:crypto");
+const readline = require("node:readline");
 const { URL } = require("node:url");
 
 const EPOCH_OFFSET_MICROSECONDS = 11644473600000000n;
 const CHECKSUM_TYPE_URL = "url";
 const CHECKSUM_TYPE_FOLDER = "folder";
 
+// User-data folders are relative to %LOCALAPPDATA% (win32), ~/Library/Application Support (darwin)
+// and $XDG_CONFIG_HOME or ~/.config (linux). Process names are what tasklist / ps report.
+const BROWSERS = {
+  chrome: {
+    label: "Chrome",
+    dirs: { win32: "Google/Chrome/User Data", darwin: "Google/Chrome", linux: "google-chrome" },
+    processes: { win32: ["chrome.exe"], darwin: ["Google Chrome"], linux: ["chrome", "google-chrome"] }
+  },
+  "chrome-beta": {
+    label: "Chrome Beta",
+    dirs: { win32: "Google/Chrome Beta/User Data", darwin: "Google/Chrome Beta", linux: "google-chrome-beta" },
+    processes: { win32: ["chrome.exe"], darwin: ["Google Chrome Beta"], linux: ["chrome", "google-chrome-beta"] }
+  },
+  chromium: {
+    label: "Chromium",
+    dirs: { win32: "Chromium/User Data", darwin: "Chromium", linux: "chromium" },
+    processes: { win32: ["chrome.exe"], darwin: ["Chromium"], linux: ["chromium", "chromium-browser", "chromium-browse"] }
+  },
+  edge: {
+    label: "Edge",
+    dirs: { win32: "Microsoft/Edge/User Data", darwin: "Microsoft Edge", linux: "microsoft-edge" },
+    processes: { win32: ["msedge.exe"], darwin: ["Microsoft Edge"], linux: ["msedge", "microsoft-edge"] }
+  },
+  brave: {
+    label: "Brave",
+    dirs: { win32: "BraveSoftware/Brave-Browser/User Data", darwin: "BraveSoftware/Brave-Browser", linux: "BraveSoftware/Brave-Browser" },
+    processes: { win32: ["brave.exe"], darwin: ["Brave Browser"], linux: ["brave", "brave-browser"] }
+  },
+  vivaldi: {
+    label: "Vivaldi",
+    dirs: { win32: "Vivaldi/User Data", darwin: "Vivaldi", linux: "vivaldi" },
+    processes: { win32: ["vivaldi.exe"], darwin: ["Vivaldi"], linux: ["vivaldi", "vivaldi-bin"] }
+  }
+};
+
 function nowChromeTimestamp() {
   return (BigInt(Date.now()) * 1000n + EPOCH_OFFSET_MICROSECONDS).toString();
 }
@@ -18,7 +57,10 @@ function nowChromeTimestamp() {
 function parseArgs(argv) {
   const args = {
     configPath: "bookmark-sorter.config.json",
+    browser: "chrome",
     profile: null,
+    profiles: null,
+    listProfiles: false,
     dryRun: true,
     apply: false,
     exportHtmlPath: null,
@@ -26,19 +68,49 @@ function parseArgs(argv) {
     backupsDir: "backups",
     destinationRoot: null,
     bookmarksPath: null,
-    force: false
+    force: false,
+    listBackups: false,
+    restoreSource: null,
+    keepBackups: null,
+    incremental: false,
+    validateConfig: false,
+    printConfig: false,
+    explainQuery: null,
+    ruleReport: false,
+    suggestRules: false,
+    review: false,
+    inputHtmlPath: null,
+    exports: [],
+    checkLinks: false,
+    reportPath: null
   };
 
   for (let i = 2; i < argv.length; i += 1) {
     const arg = argv[i];
     if (arg === "--config") {
       args.configPath = argv[++i];
+    } else if (arg === "--browser") {
+      args.browser = normalize(argv[++i]);
+      if (!BROWSERS[args.browser]) {
+        throw new Error(`Unknown --browser '${args.browser}'. Expected one of: ${Object.keys(BROWSERS).join(", ")}`);
+      }
     } else if (arg === "--profile") {
       args.profile = argv[++i];
+    } else if (arg === "--profiles") {
+      args.profiles = argv[++i];
+      if (!args.profiles) {
+        throw new Error("--profiles requires a comma-separated list of profiles or 'all'.");
+      }
+    } else if (arg === "--list-profiles") {
+      args.listProfiles = true;
     } else if (arg === "--bookmarks-file") {
       args.bookmarksPath = argv[++i];
     } else if (arg === "--backup-dir") {
       args.backupsDir = argv[++i];
+    } else if (arg === "--input-html") {
+      args.inputHtmlPath = argv[++i];
+    } else if (arg === "--export") {
+      args.exports.push(parseExportTarget(argv[++i]));
     } else if (arg === "--export-html") {
       args.exportHtmlPath = argv[++i];
     } else if (arg === "--destination-root") {
@@ -50,6 +122,39 @@ function parseArgs(argv) {
       args.allowAccountApply = true;
     } else if (arg === "--force") {
       args.force = true;
+    } else if (arg === "--explain") {
+      args.explainQuery = argv[++i];
+      if (!args.explainQuery) {
+        throw new Error("--explain requires a URL or title substring.");
+      }
+    } else if (arg === "--rule-report") {
+      args.ruleReport = true;
+    } else if (arg === "--report") {
+      args.reportPath = argv[++i];
+      if (!args.reportPath) {
+        throw new Error("--report requires a file path.");
+      }
+    } else if (arg === "--suggest-rules") {
+      args.suggestRules = true;
+    } else if (arg === "--review") {
+      args.review = true;
+    } else if (arg === "--validate-config") {
+      args.validateConfig = true;
+    } else if (arg === "--print-config") {
+      args.printConfig = true;
+    } else if (arg === "--check-links") {
+      args.checkLinks = true;
+    } else if (arg === "--incremental") {
+      args.incremental = true;
+    } else if (arg === "--list-backups") {
+      args.listBackups = true;
+    } else if (arg === "--restore") {
+      args.restoreSource = argv[++i];
+      if (!args.restoreSource) {
+        throw new Error("--restore requires a backup file path or 'latest'.");
+      }
+    } else if (arg === "--keep-backups") {
+      args.keepBackups = parseRetentionCount(argv[++i], "--keep-backups");
     } else if (arg === "--dry-run") {
       args.dryRun = true;
       args.apply = false;
@@ -63,6 +168,27 @@ function parseArgs(argv) {
   return args;
 }
 
+function parseExportTarget(value) {
+  const raw = String(value || "");
+  const separator = raw.indexOf(":");
+  const format = normalize(raw.slice(0, separator)).trim();
+  const filePath = raw.slice(separator + 1).trim();
+  if (separator < 1 || !filePath || !EXPORT_BUILDERS[format]) {
+    throw new Error(
+      `Invalid --export '${raw}'. Use <format>:<path> with format one of: ${Object.keys(EXPORT_BUILDERS).join(", ")}`
+    );
+  }
+  return { format, path: filePath };
+}
+
+function parseRetentionCount(value, label) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${label} must be a positive whole number (got '${value}').`);
+  }
+  return count;
+}
+
 function printHelp() {
   console.log(`
 Chrome Bookmark Sorter
@@ -72,46 +198,93 @@ Usage:
 
 Options:
   --config <path>             Config JSON path (default: bookmark-sorter.config.json)
-  --profile <name>            Chrome profile folder name (default: Chrome last-used profile)
+  --browser <name>            chrome | chrome-beta | chromium | edge | brave | vivaldi (default: chrome)
+  --profile <name>            Browser profile folder name (default: last-used profile)
+  --profiles <list|all>       Sort several profiles in turn, e.g. "Default,Profile 2" or all
+  --list-profiles             List the browser's profiles and which bookmark files they have
   --bookmarks-file <path>     Explicit path to Chrome AccountBookmarks/Bookmarks file
   --backup-dir <path>         Backup folder path (default: backups)
+  --input-html <path>         Read a Netscape bookmarks HTML export instead of a Chrome profile
   --export-html <path>        Write sorted bookmarks as importable HTML (sync-safe mode)
+  --export <format>:<path>    Also write the sorted tree as markdown, csv, json, opml or html (repeatable)
   --destination-root <root>   Override destination root (bookmark_bar | other | synced)
+  --check-links               Check every link over HTTP (config: linkCheck) and file dead ones separately
+  --report <path>             Write the per-bookmark move plan as <path>.json and <path>.html
+  --incremental               Keep bookmarks already in the Organized folder; file only new ones
   --dry-run                   Show planned changes only (default)
   --apply                     Write changes to bookmarks file + create backup
   --allow-account-apply       Allow direct write to AccountBookmarks (advanced/risky)
-  --force                     Allow --apply even if Chrome is running
+  --force                     Allow --apply/--restore even if Chrome is running
+  --explain <text>            Show the classification trace for bookmarks whose URL/title contains text
+  --rule-report               Report dead, shadowed and overlapping category rules
+  --suggest-rules             Suggest match rules for bookmarks that fall through to defaultPath
+  --review                    Walk through defaultPath bookmarks and add match rules to the config interactively
+  --validate-config           Check the config for errors and exit
+  --print-config              Print the config after extends/include/patch are applied and exit
+  --list-backups              List backups of the bookmarks file in --backup-dir
+  --restore <path|latest>     Restore the bookmarks file from a backup
+  --keep-backups <n>          After --apply, keep only the newest n backups (config: backupRetention)
   --help, -h                  Show this help
 
 Examples:
   node bookmark-sorter.js --dry-run
   node bookmark-sorter.js --export-html .\\sorted-bookmarks.html
+  node bookmark-sorter.js --export markdown:.\\links.md --export csv:.\\links.csv
+  node bookmark-sorter.js --input-html .\\firefox-export.html --export-html .\\sorted-bookmarks.html
   node bookmark-sorter.js --apply
   node bookmark-sorter.js --apply --force
   node bookmark-sorter.js --apply --allow-account-apply
   node bookmark-sorter.js --profile "Profile 2" --apply
+  node bookmark-sorter.js --profiles all --dry-run
+  node bookmark-sorter.js --profiles "Default,Profile 3" --export-html .\\exports\\sorted-{profile}.html
+  node bookmark-sorter.js --browser edge --list-profiles
+  node bookmark-sorter.js --browser brave --profile Default --dry-run
+  node bookmark-sorter.js --apply --keep-backups 10
+  node bookmark-sorter.js --incremental --apply
+  node bookmark-sorter.js --check-links --dry-run
+  node bookmark-sorter.js --dry-run --report .\\reports\\plan
+  node bookmark-sorter.js --validate-config
+  node bookmark-sorter.js --config .\\my-rules.json --print-config
+  node bookmark-sorter.js --explain "youtube.com/watch?v=abc"
+  node bookmark-sorter.js --rule-report
+  node bookmark-sorter.js --suggest-rules
+  node bookmark-sorter.js --review
+  node bookmark-sorter.js --list-backups
+  node bookmark-sorter.js --restore latest
   node bookmark-sorter.js --bookmarks-file "C:\\Users\\you\\AppData\\Local\\Google\\Chrome\\User Data\\Default\\Bookmarks" --apply
   node bookmark-sorter.js --bookmarks-file "C:\\Users\\you\\AppData\\Local\\Google\\Chrome\\User Data\\Profile 3\\AccountBookmarks" --apply
 `.trim());
 }
 
-function getChromeUserDataDir() {
-  const localAppData = process.env.LOCALAPPDATA;
-  if (!localAppData) {
-    throw new Error("LOCALAPPDATA is not set. Use --bookmarks-file to pass an explicit path.");
+function getPlatformKey() {
+  if (process.platform === "win32" || process.platform === "darwin") {
+    return process.platform;
   }
+  return "linux";
+}
 
-  return path.join(
-    localAppData,
-    "Google",
-    "Chrome",
-    "User Data"
-  );
+function getChromeUserDataDir(browser = "chrome") {
+  const relativeDir = BROWSERS[browser].dirs[getPlatformKey()].split("/");
+
+  if (process.platform === "win32") {
+    const localAppData = process.env.LOCALAPPDATA;
+    if (!localAppData) {
+      throw new Error("LOCALAPPDATA is not set. Use --bookmarks-file to pass an explicit path.");
+    }
+    return path.join(localAppData, ...relativeDir);
+  }
+
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Application Support", ...relativeDir);
+  }
+
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, ...relativeDir);
 }
 
-function getDefaultBookmarksPath(profile) {
+function getDefaultBookmarksPath(profile, browser = "chrome") {
   return path.join(
-    getChromeUserDataDir(),
+    getChromeUserDataDir(browser),
     profile
   );
 }
@@ -125,8 +298,8 @@ async function pathExists(filePath) {
   }
 }
 
-async function detectDefaultBookmarksPath(profile) {
-  const profileDir = getDefaultBookmarksPath(profile);
+async function detectDefaultBookmarksPath(profile, browser = "chrome") {
+  const profileDir = getDefaultBookmarksPath(profile, browser);
   const candidates = ["AccountBookmarks", "Bookmarks"];
 
   for (const filename of candidates) {
@@ -137,24 +310,81 @@ async function detectDefaultBookmarksPath(profile) {
   }
 
   throw new Error(
-    `No Chrome bookmarks file found in '${profileDir}'. Looked for: ${candidates.join(", ")}`
+    `No ${BROWSERS[browser].label} bookmarks file found in '${profileDir}'. Looked for: ${candidates.join(", ")}`
   );
 }
 
-async function detectLastUsedProfileName() {
-  const localStatePath = path.join(getChromeUserDataDir(), "Local State");
+async function readLocalState(browser) {
+  const localStatePath = path.join(getChromeUserDataDir(browser), "Local State");
   if (!(await pathExists(localStatePath))) {
-    return "Default";
+    return null;
   }
 
   try {
     const rawState = await fs.readFile(localStatePath, "utf8");
-    const state = parseJsonWithOptionalBom(rawState);
-    const lastUsed = String(state?.profile?.last_used || "").trim();
-    return lastUsed || "Default";
+    return parseJsonWithOptionalBom(rawState);
   } catch {
-    return "Default";
+    return null;
+  }
+}
+
+async function detectLastUsedProfileName(browser = "chrome") {
+  const state = await readLocalState(browser);
+  const lastUsed = String(state?.profile?.last_used || "").trim();
+  return lastUsed || "Default";
+}
+
+// Profiles come from Local State's info_cache; without it, fall back to the usual folder names on disk.
+async function listBrowserProfiles(browser = "chrome") {
+  const userDataDir = getChromeUserDataDir(browser);
+  const state = await readLocalState(browser);
+  const infoCache = state?.profile?.info_cache && typeof state.profile.info_cache === "object"
+    ? state.profile.info_cache
+    : {};
+
+  let folders = Object.keys(infoCache);
+  if (!folders.length && (await pathExists(userDataDir))) {
+    const entries = await fs.readdir(userDataDir, { withFileTypes: true });
+    folders = entries
+      .filter((entry) => entry.isDirectory() && (entry.name === "Default" || /^Profile \d+$/.test(entry.name)))
+      .map((entry) => entry.name);
+  }
+
+  const lastUsed = String(state?.profile?.last_used || "").trim() || "Default";
+  const profiles = [];
+  for (const folder of folders.sort(NAME_COLLATOR.compare)) {
+    const profileDir = path.join(userDataDir, folder);
+    profiles.push({
+      folder,
+      name: String(infoCache[folder]?.name || "").trim(),
+      email: String(infoCache[folder]?.user_name || "").trim(),
+      lastUsed: folder === lastUsed,
+      hasBookmarks: await pathExists(path.join(profileDir, "Bookmarks")),
+      hasAccountBookmarks: await pathExists(path.join(profileDir, "AccountBookmarks"))
+    });
+  }
+  return { userDataDir, profiles };
+}
+
+async function printBrowserProfiles(browser) {
+  const { userDataDir, profiles } = await listBrowserProfiles(browser);
+  console.log(`${BROWSERS[browser].label} profiles in ${userDataDir}:`);
+  if (!profiles.length) {
+    console.log("  (none found)");
+    return;
+  }
+
+  for (const profile of profiles) {
+    const files = [
+      profile.hasBookmarks ? "Bookmarks" : null,
+      profile.hasAccountBookmarks ? "AccountBookmarks" : null
+    ].filter(Boolean);
+    const label = [profile.name, profile.email ? `<${profile.email}>` : ""].filter(Boolean).join(" ");
+    console.log(
+      `  ${profile.lastUsed ? "*" : " "} ${profile.folder.padEnd(12, " ")}  ${(label || "(no name)").padEnd(40, " ")}  ${files.length ? files.join(", ") : "no bookmarks file"}`
+    );
   }
+  console.log("\n  * = last used");
 }
 
 function safeArray(value) {
@@ -189,9 +419,211 @@ function toRegex(pattern) {
   }
 }
 
-function matchSpec(spec, bookmark) {
+// Regex lists hold { pattern, re } entries; report the pattern text for them.
+function findMatch(values, predicate) {
+  const hit = values.find(predicate);
+  if (hit === undefined) {
+    return null;
+  }
+  return typeof hit === "object" ? hit.pattern : String(hit);
+}
+
+const URL_TYPE_SCHEMES = {
+  web: ["http", "https"],
+  bookmarklet: ["javascript"],
+  file: ["file"],
+  browser: ["chrome", "chrome-extension", "edge", "about", "brave", "vivaldi", "opera", "view-source", "extension"]
+};
+const URL_TYPES = [...Object.keys(URL_TYPE_SCHEMES), "other"];
+const DEFAULT_PORTS = { http: "80", https: "443", ftp: "21", ws: "80", wss: "443" };
+
+// Splits a bookmark URL into the parts the structured match keys look at. Everything is lowercased, like the
+// other checks; URLs that do not parse (and javascript: bookmarklets) only get a scheme and type.
+function parseBookmarkUrl(rawUrl) {
+  const text = String(rawUrl || "").trim();
+  const scheme = normalize(/^([a-z][a-z0-9+.-]*):/i.exec(text)?.[1]);
+  const type = Object.keys(URL_TYPE_SCHEMES).find((key) => URL_TYPE_SCHEMES[key].includes(scheme)) || "other";
+  const parts = { scheme, type, host: "", port: "", path: "", query: new Map(), isIp: false };
+  if (type === "bookmarklet") {
+    return parts;
+  }
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch {
+    return parts;
+  }
+  parts.host = parsed.hostname.toLowerCase();
+  parts.port = parsed.port || DEFAULT_PORTS[scheme] || "";
+  parts.path = normalize(parsed.pathname);
+  for (const [key, value] of parsed.searchParams) {
+    const name = normalize(key);
+    parts.query.set(name, [...(parts.query.get(name) || []), normalize(value)]);
+  }
+  parts.isIp = /^\d{1,3}(\.\d{1,3}){3}$/.test(parts.host) || parts.host.startsWith("[");
+  return parts;
+}
+
+// "*" stays inside one path segment, "**" crosses segments, "?" is one character.
+function globToRegex(glob) {
+  const source = String(glob)
+    .split("**")
+    .map((part) => part
+      .split("*")
+      .map((piece) => piece.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\?/g, "[^/]"))
+      .join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function trimmedList(value) {
+  return safeArray(value).map((item) => String(item).trim()).filter(Boolean);
+}
+
+function lowerList(value) {
+  return safeArray(value).map(normalize).map((item) => item.trim()).filter(Boolean);
+}
+
+// Structured URL keys. Each also has an exclude variant (schemes -> excludeSchemes, and so on).
+const URL_MATCH_CHECKS = {
+  urlTypes: { values: lowerList, test: (url, type) => url.type === type },
+  schemes: { values: (value) => lowerList(value).map((scheme) => scheme.replace(/:$/, "")), test: (url, scheme) => url.scheme === scheme },
+  ports: { values: (value) => safeArray(value).map((port) => String(port).trim()).filter(Boolean), test: (url, port) => url.port === port },
+  pathPrefix: { values: lowerList, test: (url, prefix) => Boolean(url.path) && url.path.startsWith(prefix) },
+  pathGlob: {
+    values: (value) => safeArray(value).map((pattern) => ({ pattern, re: globToRegex(pattern) })),
+    test: (url, entry) => Boolean(url.path) && entry.re.test(url.path)
+  },
+  queryHas: { values: lowerList, test: (url, key) => url.query.has(key) },
+  queryEquals: {
+    values: lowerList,
+    test: (url, pair) => {
+      const [key, ...rest] = pair.split("=");
+      return safeArray(url.query.get(key)).includes(rest.join("="));
+    }
+  },
+  tld: {
+    values: (value) => lowerList(value).map((tld) => tld.replace(/^\./, "")),
+    test: (url, tld) => Boolean(url.host) && url.host.endsWith(`.${tld}`)
+  }
+};
+
+function excludeKeyFor(key) {
+  return `exclude${key[0].toUpperCase()}${key.slice(1)}`;
+}
+
+const SECONDS_PER_DAY = 86400;
+
+function daysSince(unixSeconds, nowMs = Date.now()) {
+  return (nowMs / 1000 - unixSeconds) / SECONDS_PER_DAY;
+}
+
+function isoDay(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString().slice(0, 10);
+}
+
+// Last time the bookmark was opened, or when it was added if Chrome never recorded a use.
+function lastActivitySeconds(bookmarkNode) {
+  return chromeMicrosToUnixSeconds(bookmarkNode?.date_last_used) ?? chromeMicrosToUnixSeconds(bookmarkNode?.date_added);
+}
+
+// Age and usage keys hold one value each, unlike the list keys.
+function addDateChecks(spec, bookmarkNode, checks) {
+  const addedSeconds = chromeMicrosToUnixSeconds(bookmarkNode?.date_added);
+  const usedSeconds = chromeMicrosToUnixSeconds(bookmarkNode?.date_last_used);
+  const activitySeconds = lastActivitySeconds(bookmarkNode);
+  const push = (key, passed, hit) => checks.push({ key, passed, hit: passed ? hit : null });
+
+  if (spec.addedBefore !== undefined) {
+    const limit = Date.parse(spec.addedBefore) / 1000;
+    push("addedBefore", addedSeconds !== null && addedSeconds < limit, `added ${addedSeconds !== null ? isoDay(addedSeconds) : ""}`);
+  }
+  if (spec.addedAfter !== undefined) {
+    const limit = Date.parse(spec.addedAfter) / 1000;
+    push("addedAfter", addedSeconds !== null && addedSeconds >= limit, `added ${addedSeconds !== null ? isoDay(addedSeconds) : ""}`);
+  }
+  if (spec.olderThanDays !== undefined) {
+    const age = addedSeconds === null ? null : Math.floor(daysSince(addedSeconds));
+    push("olderThanDays", age !== null && age >= Number(spec.olderThanDays), `added ${age} days ago`);
+  }
+  if (spec.unusedForDays !== undefined) {
+    const idle = activitySeconds === null ? null : Math.floor(daysSince(activitySeconds));
+    push("unusedForDays", idle !== null && idle >= Number(spec.unusedForDays), `unused for ${idle} days`);
+  }
+  if (typeof spec.neverUsed === "boolean") {
+    push("neverUsed", (usedSeconds === null) === spec.neverUsed, usedSeconds === null ? "never used" : `last used ${isoDay(usedSeconds)}`);
+  }
+}
+
+const ARCHIVE_GROUPS = ["year", "month", "none"];
+const ARCHIVE_DEFAULTS = { unusedForDays: null, path: ["Archive"], groupBy: "year" };
+
+function resolveArchiveOptions(archive) {
+  if (!archive || typeof archive !== "object" || typeof archive.unusedForDays !== "number") {
+    return null;
+  }
+  const options = { ...ARCHIVE_DEFAULTS, ...archive };
+  options.path = safeArray(options.path).length ? safeArray(options.path) : ARCHIVE_DEFAULTS.path;
+  return options;
+}
+
+// Archive folder for a bookmark idle for at least unusedForDays, dated by its last use (or when it was added).
+function archivePathFor(bookmarkNode, archiveOptions, nowMs = Date.now()) {
+  const activitySeconds = lastActivitySeconds(bookmarkNode);
+  if (!archiveOptions || activitySeconds === null || daysSince(activitySeconds, nowMs) < archiveOptions.unusedForDays) {
+    return null;
+  }
+  const day = isoDay(activitySeconds);
+  if (archiveOptions.groupBy === "none") {
+    return archiveOptions.path;
+  }
+  return [...archiveOptions.path, archiveOptions.groupBy === "month" ? day.slice(0, 7) : day.slice(0, 4)];
+}
+
+const matcherPlugins = new Map();
+
+// Matcher plugins are CommonJS modules exporting `(bookmark, options) => boolean | string` or `{ match }`.
+// A string result counts as a pass and is shown as the hit in --explain.
+function loadMatcherPlugin(pluginPath) {
+  const resolved = path.resolve(String(pluginPath));
+  if (!matcherPlugins.has(resolved)) {
+    const exported = require(resolved);
+    const match = typeof exported === "function" ? exported : exported?.match;
+    if (typeof match !== "function") {
+      throw new Error(`Matcher plugin ${resolved} must export a function or an object with a match function.`);
+    }
+    matcherPlugins.set(resolved, match);
+  }
+  return matcherPlugins.get(resolved);
+}
+
+function runMatcherPlugin(pluginPath, options, bookmark) {
+  const bookmarkNode = bookmark?.bookmark || bookmark;
+  const matcher = loadMatcherPlugin(pluginPath);
+  let result;
+  try {
+    result = matcher(
+      {
+        name: String(bookmarkNode?.name || ""),
+        url: String(bookmarkNode?.url || ""),
+        host: hostFromUrl(bookmarkNode?.url),
+        rootName: bookmark?.rootName || null,
+        sourcePath: safeArray(bookmark?.sourcePath).map(String),
+        node: bookmarkNode
+      },
+      options && typeof options === "object" ? options : {}
+    );
+  } catch (err) {
+    throw new Error(`Matcher plugin ${pluginPath} failed on ${bookmarkNode?.url || "(no URL)"}: ${err.message}`);
+  }
+  return result ? (typeof result === "string" ? result : true) : false;
+}
+
+// Runs every check of a match spec and records what passed, so callers can both decide and explain.
+function evaluateMatchSpec(spec, bookmark) {
+  const result = { matched: false, mode: "any", checks: [], vetoedBy: null };
   if (!spec || typeof spec !== "object") {
-    return false;
+    return result;
   }
 
   const bookmarkNode = bookmark?.bookmark || bookmark;
@@ -200,130 +632,311 @@ function matchSpec(spec, bookmark) {
 
   const name = normalize(bookmarkNode?.name);
   const url = normalize(bookmarkNode?.url);
+  const exactUrl = String(bookmarkNode?.url || "").trim();
   const both = `${name} ${url}`.trim();
   const host = hostFromUrl(bookmarkNode?.url);
   const pathText = normalize(sourcePath.join(" > "));
+  const parsedUrl = parseBookmarkUrl(bookmarkNode?.url);
 
-  const checks = [];
-
-  const keywords = safeArray(spec.keywords).map(normalize).filter(Boolean);
-  if (keywords.length) {
-    checks.push(keywords.some((token) => both.includes(token)));
-  }
+  const addCheck = (key, values, predicate) => {
+    if (!values.length) {
+      return;
+    }
+    const hit = findMatch(values, predicate);
+    result.checks.push({ key, passed: hit !== null, hit });
+  };
 
-  const nameContains = safeArray(spec.nameContains).map(normalize).filter(Boolean);
-  if (nameContains.length) {
-    checks.push(nameContains.some((token) => name.includes(token)));
-  }
+  const toPatternList = (value) => safeArray(value)
+    .map((pattern) => ({ pattern, re: toRegex(pattern) }))
+    .filter((entry) => entry.re);
 
-  const urlContains = safeArray(spec.urlContains).map(normalize).filter(Boolean);
-  if (urlContains.length) {
-    checks.push(urlContains.some((token) => url.includes(token)));
+  addCheck("keywords", safeArray(spec.keywords).map(normalize).filter(Boolean), (token) => both.includes(token));
+  addCheck("nameContains", safeArray(spec.nameContains).map(normalize).filter(Boolean), (token) => name.includes(token));
+  addCheck("urlContains", safeArray(spec.urlContains).map(normalize).filter(Boolean), (token) => url.includes(token));
+  addCheck("urls", trimmedList(spec.urls), (value) => value === exactUrl);
+  addCheck("domains", safeArray(spec.domains).map(normalize).filter(Boolean), (domain) => hostMatchesDomain(host, domain));
+  addCheck("regex", toPatternList(spec.regex), (entry) => entry.re.test(both));
+  addCheck("pathContains", safeArray(spec.pathContains).map(normalize).filter(Boolean), (token) => pathText.includes(token));
+  addCheck("pathRegex", toPatternList(spec.pathRegex), (entry) => entry.re.test(pathText));
+  addCheck("roots", safeArray(spec.roots).map(normalize).filter(Boolean), (root) => root === rootName);
+  for (const [key, check] of Object.entries(URL_MATCH_CHECKS)) {
+    addCheck(key, check.values(spec[key]), (value) => check.test(parsedUrl, value));
   }
-
-  const domains = safeArray(spec.domains).map(normalize).filter(Boolean);
-  if (domains.length) {
-    checks.push(domains.some((domain) => hostMatchesDomain(host, domain)));
+  addDateChecks(spec, bookmarkNode, result.checks);
+  if (typeof spec.isIp === "boolean") {
+    const passed = parsedUrl.isIp === spec.isIp;
+    result.checks.push({ key: "isIp", passed, hit: passed ? parsedUrl.host || String(spec.isIp) : null });
   }
-
-  const regexPatterns = safeArray(spec.regex).map(toRegex).filter(Boolean);
-  if (regexPatterns.length) {
-    checks.push(regexPatterns.some((re) => re.test(both)));
+  if (spec.plugin) {
+    const hit = runMatcherPlugin(spec.plugin, spec.options, bookmark);
+    result.checks.push({ key: "plugin", passed: hit !== false, hit: typeof hit === "string" ? hit : spec.plugin });
   }
 
-  const pathContains = safeArray(spec.pathContains).map(normalize).filter(Boolean);
-  if (pathContains.length) {
-    checks.push(pathContains.some((token) => pathText.includes(token)));
+  const excludes = [
+    ["excludeKeywords", safeArray(spec.excludeKeywords).map(normalize).filter(Boolean), (token) => both.includes(token)],
+    ["excludeNameContains", safeArray(spec.excludeNameContains).map(normalize).filter(Boolean), (token) => name.includes(token)],
+    ["excludeUrlContains", safeArray(spec.excludeUrlContains).map(normalize).filter(Boolean), (token) => url.includes(token)],
+    ["excludeUrls", trimmedList(spec.excludeUrls), (value) => value === exactUrl],
+    ["excludeDomains", safeArray(spec.excludeDomains).map(normalize).filter(Boolean), (domain) => hostMatchesDomain(host, domain)],
+    ["excludePathContains", safeArray(spec.excludePathContains).map(normalize).filter(Boolean), (token) => pathText.includes(token)],
+    ["excludePathRegex", toPatternList(spec.excludePathRegex), (entry) => entry.re.test(pathText)],
+    ["excludeRegex", toPatternList(spec.excludeRegex), (entry) => entry.re.test(both)],
+    ...Object.entries(URL_MATCH_CHECKS).map(([key, check]) => [
+      excludeKeyFor(key),
+      check.values(spec[excludeKeyFor(key)]),
+      (value) => check.test(parsedUrl, value)
+    ])
+  ];
+  for (const [key, values, predicate] of excludes) {
+    const hit = findMatch(values, predicate);
+    if (hit !== null) {
+      result.vetoedBy = { key, hit };
+      return result;
+    }
   }
-
-  const pathRegex = safeArray(spec.pathRegex).map(toRegex).filter(Boolean);
-  if (pathRegex.length) {
-    checks.push(pathRegex.some((re) => re.test(pathText)));
+  if (spec.excludePlugin) {
+    const hit = runMatcherPlugin(spec.excludePlugin, spec.excludeOptions, bookmark);
+    if (hit !== false) {
+      result.vetoedBy = { key: "excludePlugin", hit: typeof hit === "string" ? hit : spec.excludePlugin };
+      return result;
+    }
   }
 
-  const roots = safeArray(spec.roots).map(normalize).filter(Boolean);
-  if (roots.length) {
-    checks.push(roots.includes(rootName));
+  if (!result.checks.length) {
+    return result;
   }
 
-  const excludeKeywords = safeArray(spec.excludeKeywords).map(normalize).filter(Boolean);
-  if (excludeKeywords.some((token) => both.includes(token))) {
-    return false;
-  }
+  result.mode = spec.mode === "all" ? "all" : "any";
+  result.matched = result.mode === "all"
+    ? result.checks.every((check) => check.passed)
+    : result.checks.some((check) => check.passed);
+  return result;
+}
 
-  const excludeNameContains = safeArray(spec.excludeNameContains).map(normalize).filter(Boolean);
-  if (excludeNameContains.some((token) => name.includes(token))) {
-    return false;
-  }
+function matchSpec(spec, bookmark) {
+  return evaluateMatchSpec(spec, bookmark).matched;
+}
 
-  const excludeUrlContains = safeArray(spec.excludeUrlContains).map(normalize).filter(Boolean);
-  if (excludeUrlContains.some((token) => url.includes(token))) {
-    return false;
-  }
+const FOLDER_TEMPLATE_PATTERN = /\{(\w+)\}/g;
+const FOLDER_TEMPLATE_VARIABLES = ["host", "registrableDomain", "year", "sourceFolder"];
+const MULTI_PART_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk",
+  "com.au", "net.au", "org.au", "edu.au",
+  "co.nz", "co.jp", "ne.jp", "or.jp", "co.kr", "co.in", "co.za",
+  "com.br", "com.cn", "com.hk", "com.mx", "com.sg", "com.tr", "com.tw", "com.ar", "com.pl"
+]);
+const ROOT_DISPLAY_NAMES = { bookmark_bar: "Bookmarks bar", other: "Other bookmarks", synced: "Mobile bookmarks" };
 
-  const excludeDomains = safeArray(spec.excludeDomains).map(normalize).filter(Boolean);
-  if (excludeDomains.some((domain) => hostMatchesDomain(host, domain))) {
-    return false;
-  }
+function isFolderTemplate(name) {
+  return /\{\w+\}/.test(String(name || ""));
+}
 
-  const excludePathContains = safeArray(spec.excludePathContains).map(normalize).filter(Boolean);
-  if (excludePathContains.some((token) => pathText.includes(token))) {
-    return false;
+// Approximates eTLD+1 without a public suffix list: two labels, or three under common country SLDs.
+function registrableDomainFromHost(host) {
+  const labels = String(host || "").split(".").filter(Boolean);
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) {
+    return labels.join(".");
   }
+  const lastTwo = labels.slice(-2).join(".");
+  return MULTI_PART_SUFFIXES.has(lastTwo) ? labels.slice(-3).join(".") : lastTwo;
+}
 
-  const excludePathRegex = safeArray(spec.excludePathRegex).map(toRegex).filter(Boolean);
-  if (excludePathRegex.some((re) => re.test(pathText))) {
-    return false;
+function regexCaptures(spec, bookmark) {
+  const bookmarkNode = bookmark?.bookmark || bookmark;
+  const both = `${normalize(bookmarkNode?.name)} ${normalize(bookmarkNode?.url)}`.trim();
+  for (const pattern of safeArray(spec?.regex)) {
+    const match = toRegex(pattern)?.exec(both);
+    if (match) {
+      return match;
+    }
   }
+  return [];
+}
 
-  const excludeRegexPatterns = safeArray(spec.excludeRegex).map(toRegex).filter(Boolean);
-  if (excludeRegexPatterns.some((re) => re.test(both))) {
-    return false;
-  }
+function renderFolderTemplate(template, bookmark, captures) {
+  const bookmarkNode = bookmark?.bookmark || bookmark;
+  const host = hostFromUrl(bookmarkNode?.url).replace(/^www\./, "");
+  const addedSeconds = chromeMicrosToUnixSeconds(bookmarkNode?.date_added);
+  const sourcePath = safeArray(bookmark?.sourcePath);
+  const values = {
+    host,
+    registrableDomain: registrableDomainFromHost(host),
+    year: addedSeconds ? String(new Date(addedSeconds * 1000).getUTCFullYear()) : "",
+    sourceFolder: sourcePath.length
+      ? String(sourcePath[sourcePath.length - 1])
+      : ROOT_DISPLAY_NAMES[bookmark?.rootName] || ""
+  };
+  return String(template)
+    .replace(FOLDER_TEMPLATE_PATTERN, (_, key) => (/^\d+$/.test(key) ? captures[Number(key)] || "" : values[key] || ""))
+    .trim();
+}
 
-  if (!checks.length) {
-    return false;
+// Turns the matched node chain into a folder path. Template segments are rendered from the bookmark; an empty
+// rendering stops the path there so the bookmark stays in the parent folder.
+function resolveClassifiedPath(chain, bookmark) {
+  const captures = regexCaptures(chain[chain.length - 1].match, bookmark);
+  const folderPath = [];
+  const dynamicSegments = [];
+  for (const node of chain) {
+    if (!isFolderTemplate(node.name)) {
+      folderPath.push(node.name);
+      continue;
+    }
+    const rendered = renderFolderTemplate(node.name, bookmark, captures);
+    if (!rendered) {
+      break;
+    }
+    folderPath.push(rendered);
+    dynamicSegments.push({ index: folderPath.length - 1, minCount: node.minCount, name: node.name });
   }
-
-  const mode = spec.mode === "all" ? "all" : "any";
-  return mode === "all" ? checks.every(Boolean) : checks.some(Boolean);
+  return { path: folderPath, dynamicSegments };
 }
 
-function classifyWithNode(node, bookmark, pathPrefix) {
+function classifyWithNode(node, bookmark, pathPrefix, trace = null, ancestors = []) {
   const currentPath = [...pathPrefix, node.name];
+  const chain = [...ancestors, node];
   const children = safeArray(node.children);
 
   for (const child of children) {
-    const result = classifyWithNode(child, bookmark, currentPath);
+    const result = classifyWithNode(child, bookmark, currentPath, trace, chain);
     if (result) {
       return result;
     }
   }
 
-  if (matchSpec(node.match, bookmark)) {
-    return currentPath;
+  if (!trace) {
+    return matchSpec(node.match, bookmark) ? resolveClassifiedPath(chain, bookmark) : null;
   }
 
-  return null;
+  const evaluation = evaluateMatchSpec(node.match, bookmark);
+  trace.push({ path: currentPath, hasMatch: Boolean(node.match), evaluation });
+  return evaluation.matched ? resolveClassifiedPath(chain, bookmark) : null;
+}
+
+const CLASSIFICATION_MODES = ["first", "score"];
+const DEFAULT_SCORING_OPTIONS = { minScore: 1, borderlineMargin: 1 };
+
+function resolveClassifier(config) {
+  const scoring = config.scoring && typeof config.scoring === "object" ? config.scoring : {};
+  return {
+    mode: config.classification === "score" ? "score" : "first",
+    minScore: Number(scoring.minScore ?? DEFAULT_SCORING_OPTIONS.minScore),
+    borderlineMargin: Number(scoring.borderlineMargin ?? DEFAULT_SCORING_OPTIONS.borderlineMargin)
+  };
 }
 
-function classifyBookmark(bookmark, categories, defaultPath) {
+// A matched spec scores the sum of its passed checks; each check weighs 1 unless match.weights says otherwise.
+function scoreEvaluation(spec, evaluation) {
+  if (!evaluation.matched) {
+    return 0;
+  }
+  const weights = spec?.weights && typeof spec.weights === "object" ? spec.weights : {};
+  return evaluation.checks
+    .filter((check) => check.passed)
+    .reduce((sum, check) => sum + Number(weights[check.key] ?? 1), 0);
+}
+
+// Highest score first, then the deeper category, then the one earlier in the config.
+function compareScoredCandidates(a, b) {
+  return b.score - a.score || b.depth - a.depth || a.order - b.order;
+}
+
+// Scores every category node against the bookmark and returns the candidates that matched, best first.
+function scoreCategories(bookmark, categories, trace = null) {
+  const candidates = [];
+  const visit = (nodes, pathPrefix, ancestors) => {
+    for (const node of safeArray(nodes)) {
+      const nodePath = [...pathPrefix, node.name];
+      const chain = [...ancestors, node];
+      visit(node.children, nodePath, chain);
+      const evaluation = evaluateMatchSpec(node.match, bookmark);
+      const score = scoreEvaluation(node.match, evaluation);
+      if (trace) {
+        trace.push({ path: nodePath, hasMatch: Boolean(node.match), evaluation, score });
+      }
+      if (score > 0) {
+        candidates.push({ chain, path: nodePath, score, depth: chain.length, order: candidates.length });
+      }
+    }
+  };
+  visit(categories, [], []);
+  return candidates.sort(compareScoredCandidates);
+}
+
+function classifyByScore(bookmark, categories, defaultPath, trace, classifier) {
+  const [winner, runnerUp] = scoreCategories(bookmark, categories, trace);
+  const scoring = { winner: winner || null, runnerUp: runnerUp || null, belowThreshold: false };
+  if (winner && winner.score >= classifier.minScore) {
+    return { ...resolveClassifiedPath(winner.chain, bookmark), scoring };
+  }
+  scoring.belowThreshold = Boolean(winner);
+  return { path: safeArray(defaultPath).length ? defaultPath : ["Uncategorized"], dynamicSegments: [], scoring };
+}
+
+// Like classifyBookmark, but also reports which path segments came from folder-name templates.
+function classifyBookmarkDetailed(bookmark, categories, defaultPath, trace = null, classifier = null) {
+  if (classifier?.mode === "score") {
+    return classifyByScore(bookmark, categories, defaultPath, trace, classifier);
+  }
   for (const category of safeArray(categories)) {
-    const result = classifyWithNode(category, bookmark, []);
+    const result = classifyWithNode(category, bookmark, [], trace);
     if (result) {
       return result;
     }
   }
-  return safeArray(defaultPath).length ? defaultPath : ["Uncategorized"];
+  return { path: safeArray(defaultPath).length ? defaultPath : ["Uncategorized"], dynamicSegments: [] };
+}
+
+// Pass a trace array to record every category node visited, in evaluation order.
+function classifyBookmark(bookmark, categories, defaultPath, trace = null, classifier = null) {
+  return classifyBookmarkDetailed(bookmark, categories, defaultPath, trace, classifier).path;
+}
+
+// Low-confidence score decisions: a runner-up within borderlineMargin, or a best match below minScore.
+function isBorderlineScore(scoring, classifier) {
+  if (!scoring?.winner) {
+    return false;
+  }
+  if (scoring.belowThreshold) {
+    return true;
+  }
+  return Boolean(scoring.runnerUp) && scoring.winner.score - scoring.runnerUp.score <= classifier.borderlineMargin;
+}
+
+// Folds template-generated folders holding fewer than their minCount bookmarks back into the parent, shallowest first.
+function applyDynamicFolderThreshold(placements, defaultMinCount) {
+  const maxIndex = Math.max(-1, ...placements.flatMap((placement) => placement.dynamicSegments.map((segment) => segment.index)));
+  for (let index = 0; index <= maxIndex; index += 1) {
+    const counts = new Map();
+    const atLevel = placements.filter((placement) => (
+      placement.path.length > index && placement.dynamicSegments.some((segment) => segment.index === index)
+    ));
+    for (const placement of atLevel) {
+      const key = pathToKey(placement.path.slice(0, index + 1));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    for (const placement of atLevel) {
+      const segment = placement.dynamicSegments.find((candidate) => candidate.index === index);
+      const minCount = Number(segment.minCount ?? defaultMinCount) || 1;
+      if (counts.get(pathToKey(placement.path.slice(0, index + 1))) < minCount) {
+        placement.path = placement.path.slice(0, index);
+        placement.dynamicSegments = placement.dynamicSegments.filter((candidate) => candidate.index < index);
+      }
+    }
+  }
+  return placements;
 }
 
-function collectBookmarksFromNode(node, output, rootName, sourcePath) {
+function collectBookmarksFromNode(node, output, rootName, sourcePath, skipNodes) {
   if (!node || typeof node !== "object") {
     return;
   }
 
   const children = safeArray(node.children);
   for (const child of children) {
+    if (skipNodes.has(child)) {
+      continue;
+    }
     if (child && child.type === "url") {
       output.push({
         bookmark: child,
@@ -333,23 +946,251 @@ function collectBookmarksFromNode(node, output, rootName, sourcePath) {
       continue;
     }
     if (child && child.type === "folder") {
-      collectBookmarksFromNode(child, output, rootName, [...sourcePath, child.name]);
+      collectBookmarksFromNode(child, output, rootName, [...sourcePath, child.name], skipNodes);
     }
   }
 }
 
-function collectAllBookmarks(data, sourceRoots) {
+function resolveKeepOptions(keep) {
+  const spec = keep && typeof keep === "object" ? keep : {};
+  return {
+    folders: safeArray(spec.folders).map((folderPath) => splitCategoryPath(folderPath).map(normalize)),
+    folderRegex: safeArray(spec.folderRegex).map(toRegex).filter(Boolean),
+    urls: new Set(safeArray(spec.urls).map((url) => String(url).trim()))
+  };
+}
+
+// A keep path that starts with a root name only matches in that root; otherwise it matches in any source root.
+function isKeptFolder(rootName, folderPath, keepOptions) {
+  const segments = folderPath.map(normalize);
+  const location = [rootName, ...folderPath].join(" > ");
+  return keepOptions.folders.some((keptPath) => (
+    pathToKey(keptPath) === pathToKey(VALID_ROOT_NAMES.includes(keptPath[0]) ? [normalize(rootName), ...segments] : segments)
+  )) || keepOptions.folderRegex.some((re) => re.test(location));
+}
+
+// Returns what survives of a folder's children when its root is rebuilt: kept folders and bookmarks as they are,
+// plus trimmed copies of folders that only survive because something inside them is kept. Each carries its
+// original index so it can go back where it was. Every kept node is also added to keptNodes.
+function extractKeptNodes(children, rootName, pathPrefix, keepOptions, keptNodes, skipNodes = new Set()) {
+  const output = [];
+  safeArray(children).forEach((child, index) => {
+    if (!child || skipNodes.has(child)) {
+      return;
+    }
+    if (child.type === "url") {
+      if (keepOptions.urls.has(String(child.url || "").trim())) {
+        keptNodes.add(child);
+        output.push({ index, node: child });
+      }
+      return;
+    }
+    if (child.type !== "folder") {
+      return;
+    }
+    const folderPath = [...pathPrefix, child.name];
+    if (isKeptFolder(rootName, folderPath, keepOptions)) {
+      keptNodes.add(child);
+      output.push({ index, node: child });
+      return;
+    }
+    const inner = extractKeptNodes(child.children, rootName, folderPath, keepOptions, keptNodes, skipNodes);
+    if (inner.length) {
+      output.push({ index, node: { ...child, children: inner.map((item) => item.node) } });
+    }
+  });
+  return output;
+}
+
+// Kept items and the newly built children go back in their original order; new children without a previous
+// position (index Infinity) go last.
+function mergeKeptChildren(keptItems, newChildren, newChildrenIndex) {
+  return [...keptItems, { index: newChildrenIndex, nodes: newChildren }]
+    .sort((a, b) => a.index - b.index)
+    .flatMap((item) => item.nodes || [item.node]);
+}
+
+function collectAllBookmarks(data, sourceRoots, skipNodes = new Set()) {
   const bookmarks = [];
   for (const rootName of sourceRoots) {
     const rootNode = data?.roots?.[rootName];
     if (!rootNode) {
       continue;
     }
-    collectBookmarksFromNode(rootNode, bookmarks, rootName, []);
+    collectBookmarksFromNode(rootNode, bookmarks, rootName, [], skipNodes);
   }
   return bookmarks;
 }
 
+function findChildFolder(node, name) {
+  return safeArray(node?.children).find((child) => child && child.type === "folder" && child.name === name) || null;
+}
+
+const DEFAULT_DEDUPE_STRIP_PARAMS = [
+  "utm_*",
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+  "si",
+  "ref_src"
+];
+const DEDUPE_KEEP_STRATEGIES = ["oldest", "lastUsed", "longestTitle"];
+
+function chromeTimestampValue(value) {
+  try {
+    return BigInt(String(value || "0").trim() || "0");
+  } catch {
+    return 0n;
+  }
+}
+
+function paramMatchesPattern(param, pattern) {
+  const normalizedPattern = normalize(pattern);
+  if (normalizedPattern.endsWith("*")) {
+    return param.startsWith(normalizedPattern.slice(0, -1));
+  }
+  return param === normalizedPattern;
+}
+
+function resolveDedupeOptions(dedupeConfig) {
+  const raw = dedupeConfig && typeof dedupeConfig === "object" ? dedupeConfig : null;
+  const keep = DEDUPE_KEEP_STRATEGIES.includes(raw?.keep) ? raw.keep : "oldest";
+  return {
+    enabled: Boolean(raw) && raw.enabled !== false,
+    keep,
+    stripQueryParams: raw && Array.isArray(raw.stripQueryParams)
+      ? raw.stripQueryParams
+      : DEFAULT_DEDUPE_STRIP_PARAMS,
+    domainRules: raw?.domainRules && typeof raw.domainRules === "object" ? raw.domainRules : {}
+  };
+}
+
+function findDomainRule(host, domainRules) {
+  let best = null;
+  let bestLength = -1;
+  for (const [domain, rule] of Object.entries(domainRules || {})) {
+    const normalizedDomain = normalize(domain).replace(/^\./, "");
+    if (hostMatchesDomain(host, normalizedDomain) && normalizedDomain.length > bestLength) {
+      best = rule && typeof rule === "object" ? rule : null;
+      bestLength = normalizedDomain.length;
+    }
+  }
+  return best;
+}
+
+function normalizeUrlForDedupe(rawUrl, options) {
+  let parsed;
+  try {
+    parsed = new URL(String(rawUrl || "").trim());
+  } catch {
+    return normalize(rawUrl).trim();
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return parsed.href;
+  }
+
+  let host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  let pathname = parsed.pathname;
+  const params = [...parsed.searchParams.entries()];
+
+  if (host === "youtu.be" && pathname.length > 1) {
+    params.push(["v", pathname.slice(1).split("/")[0]]);
+    host = "youtube.com";
+    pathname = "/watch";
+  }
+
+  const rule = findDomainRule(host, options.domainRules) || {};
+  if (rule.canonicalHost) {
+    host = normalize(rule.canonicalHost).replace(/^www\./, "");
+  }
+
+  const stripPatterns = [...safeArray(options.stripQueryParams), ...safeArray(rule.stripQueryParams)];
+  const keepParams = safeArray(rule.keepQueryParams).map(normalize);
+  const keptParams = params
+    .filter(([key]) => {
+      const param = normalize(key);
+      if (keepParams.length) {
+        return keepParams.includes(param);
+      }
+      return !stripPatterns.some((pattern) => paramMatchesPattern(param, pattern));
+    })
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  pathname = pathname.replace(/\/+$/, "");
+  if (rule.caseInsensitivePath) {
+    pathname = pathname.toLowerCase();
+  }
+
+  const query = keptParams.length ? `?${new URLSearchParams(keptParams).toString()}` : "";
+  const port = parsed.port ? `:${parsed.port}` : "";
+  const fragment = rule.keepFragment && parsed.hash ? parsed.hash : "";
+  return `${host}${port}${pathname}${query}${fragment}`;
+}
+
+function isPreferredDuplicate(candidate, current, keep) {
+  const candidateNode = candidate.bookmark;
+  const currentNode = current.bookmark;
+
+  if (keep === "lastUsed") {
+    return chromeTimestampValue(candidateNode.date_last_used) > chromeTimestampValue(currentNode.date_last_used);
+  }
+  if (keep === "longestTitle") {
+    return String(candidateNode.name || "").trim().length > String(currentNode.name || "").trim().length;
+  }
+
+  const candidateAdded = chromeTimestampValue(candidateNode.date_added);
+  const currentAdded = chromeTimestampValue(currentNode.date_added);
+  if (!candidateAdded) {
+    return false;
+  }
+  return !currentAdded || candidateAdded < currentAdded;
+}
+
+// Pinned entries (bookmarks that stay where they are) always survive their group. They are never dropped either:
+// the folder holding them is kept as is, so pinned copies of the same URL all stay.
+function dedupeBookmarks(bookmarkEntries, options, pinnedEntries = []) {
+  if (!options.enabled) {
+    return { kept: bookmarkEntries, dropped: [] };
+  }
+
+  const pinned = new Set(pinnedEntries);
+  const groups = new Map();
+  for (const entry of [...pinnedEntries, ...bookmarkEntries]) {
+    const key = normalizeUrlForDedupe(entry.bookmark?.url, options);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  const survivors = new Set();
+  const dropped = [];
+  for (const [key, entries] of groups.entries()) {
+    let survivor = entries[0];
+    for (const entry of entries.slice(1)) {
+      if (!pinned.has(survivor) && isPreferredDuplicate(entry, survivor, options.keep)) {
+        survivor = entry;
+      }
+    }
+    survivors.add(survivor);
+    for (const entry of entries) {
+      if (entry !== survivor && !pinned.has(entry)) {
+        dropped.push({ entry, survivor, key });
+      }
+    }
+  }
+
+  return {
+    kept: bookmarkEntries.filter((entry) => survivors.has(entry) && !pinned.has(entry)),
+    dropped
+  };
+}
+
 function scanMaxIdInNode(node, currentMax) {
   if (!node || typeof node !== "object") {
     return currentMax;
@@ -385,41 +1226,147 @@ function createTreeNode() {
   };
 }
 
-function ensurePath(tree, folderPath) {
+// Folders rendered from a template remember the template's category name, so its sort options still apply.
+function ensurePath(tree, folderPath, dynamicSegments = []) {
   let cursor = tree;
-  for (const segment of folderPath) {
+  folderPath.forEach((segment, index) => {
     if (!cursor.folders.has(segment)) {
       cursor.folders.set(segment, createTreeNode());
     }
     cursor = cursor.folders.get(segment);
-  }
+    const dynamicSegment = dynamicSegments.find((candidate) => candidate.index === index);
+    if (dynamicSegment) {
+      cursor.categoryName = dynamicSegment.name;
+    }
+  });
   return cursor;
 }
 
 function addConfiguredFolders(tree, categories, prefix) {
   for (const category of safeArray(categories)) {
+    // Template folders only exist once a bookmark gives them a name.
+    if (isFolderTemplate(category.name)) {
+      continue;
+    }
     const current = [...prefix, category.name];
     ensurePath(tree, current);
     addConfiguredFolders(tree, category.children, current);
   }
 }
 
-function sortBookmarksInTree(tree) {
-  tree.bookmarks.sort((a, b) => {
-    const an = normalize(a.name);
-    const bn = normalize(b.name);
-    if (an < bn) return -1;
-    if (an > bn) return 1;
-    return 0;
-  });
+const SORT_KEYS = ["name", "host", "dateAdded", "dateLastUsed", "none"];
+const SORT_ORDERS = ["asc", "desc"];
+const SORT_FOLDER_PLACEMENTS = ["foldersFirst", "foldersLast", "mixed"];
+const SORT_FOLDER_ORDERS = ["config", "name"];
+const DEFAULT_SORT_OPTIONS = { by: "name", order: "asc", folders: "foldersFirst", folderOrder: "config" };
+const NAME_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
 
-  for (const child of tree.folders.values()) {
-    sortBookmarksInTree(child);
+// A sort spec is either a key ("dateAdded") or { by, order, folders, folderOrder }; unset fields inherit.
+function resolveSortOptions(spec, inherited) {
+  if (spec === undefined || spec === null) {
+    return inherited;
   }
+  const raw = typeof spec === "string" ? { by: spec } : spec;
+  return {
+    by: SORT_KEYS.includes(raw.by) ? raw.by : inherited.by,
+    order: SORT_ORDERS.includes(raw.order) ? raw.order : inherited.order,
+    folders: SORT_FOLDER_PLACEMENTS.includes(raw.folders) ? raw.folders : inherited.folders,
+    folderOrder: SORT_FOLDER_ORDERS.includes(raw.folderOrder) ? raw.folderOrder : inherited.folderOrder
+  };
 }
 
-function createChromeFolder(name, children, nextId) {
+// Maps each category folder path to its effective sort options; the first node declaring `sort` for a path wins.
+function buildSortIndex(categories, inherited, prefix = [], index = new Map()) {
+  for (const category of safeArray(categories)) {
+    const current = [...prefix, category.name];
+    const key = pathToKey(current);
+    const existing = index.get(key);
+    const options = resolveSortOptions(category.sort, inherited);
+    if (!existing || (!existing.explicit && category.sort !== undefined)) {
+      index.set(key, { options, explicit: category.sort !== undefined });
+    }
+    buildSortIndex(category.children, index.get(key).options, current, index);
+  }
+  return index;
+}
+
+function compareNodeNames(a, b) {
+  return NAME_COLLATOR.compare(String(a?.name || ""), String(b?.name || ""));
+}
+
+function sortHost(node) {
+  return node.type === "url" ? hostFromUrl(node.url).replace(/^www\./, "") : "";
+}
+
+function compareTimestamps(a, b) {
+  const av = chromeTimestampValue(a);
+  const bv = chromeTimestampValue(b);
+  return av < bv ? -1 : av > bv ? 1 : 0;
+}
+
+function compareNodes(a, b, options) {
+  let primary = 0;
+  if (options.by === "host") {
+    primary = NAME_COLLATOR.compare(sortHost(a), sortHost(b));
+  } else if (options.by === "dateAdded") {
+    primary = compareTimestamps(a.date_added, b.date_added);
+  } else if (options.by === "dateLastUsed") {
+    primary = compareTimestamps(a.date_last_used, b.date_last_used);
+  } else {
+    primary = compareNodeNames(a, b);
+  }
+  if (options.order === "desc") {
+    primary = -primary;
+  }
+  return primary || compareNodeNames(a, b);
+}
+
+function sortBookmarksInTree(tree, sortIndex, options, prefix = []) {
+  tree.sortOptions = options;
+  if (options.by !== "none") {
+    tree.bookmarks.sort((a, b) => compareNodes(a, b, options));
+  }
+
+  for (const [folderName, child] of tree.folders.entries()) {
+    const childPath = [...prefix, child.categoryName || folderName];
+    const childOptions = sortIndex.get(pathToKey(childPath))?.options || options;
+    sortBookmarksInTree(child, sortIndex, childOptions, childPath);
+  }
+}
+
+// Orders one folder's already-built Chrome children: folder placement, then optional folder name sort.
+function arrangeChromeChildren(folders, bookmarks, options = DEFAULT_SORT_OPTIONS) {
+  const orderedFolders = [...folders];
+  if (options.folderOrder === "name") {
+    const direction = options.order === "desc" ? -1 : 1;
+    orderedFolders.sort((a, b) => compareNodeNames(a, b) * direction);
+  }
+
+  if (options.folders === "foldersLast") {
+    return [...bookmarks, ...orderedFolders];
+  }
+  if (options.folders === "mixed" && options.by !== "none") {
+    return [...orderedFolders, ...bookmarks].sort((a, b) => compareNodes(a, b, options));
+  }
+  return [...orderedFolders, ...bookmarks];
+}
+
+function childIdSignature(children) {
+  return safeArray(children).map((child) => String(child?.id || "")).join(",");
+}
+
+// Reusing an existing folder keeps its id/guid/dates/meta_info so Chrome Sync sees an update, not a delete+create.
+function createChromeFolder(name, children, nextId, existing = null) {
   const now = nowChromeTimestamp();
+  if (existing) {
+    const changed = childIdSignature(existing.children) !== childIdSignature(children);
+    return {
+      ...existing,
+      name,
+      date_modified: changed || !existing.date_modified ? now : existing.date_modified,
+      children
+    };
+  }
   return {
     type: "folder",
     name,
@@ -432,19 +1379,71 @@ function createChromeFolder(name, children, nextId) {
   };
 }
 
-function treeToChromeChildrenOrdered(tree, nextId) {
-  const output = [];
+// Returns a copy of a folder that has no category any more, holding only what was not re-filed, or null if nothing is left.
+function pruneStaleFolder(folder, movedNodes) {
+  const children = [];
+  for (const child of safeArray(folder.children)) {
+    if (movedNodes.has(child)) {
+      continue;
+    }
+    if (child && child.type === "folder") {
+      const pruned = pruneStaleFolder(child, movedNodes);
+      if (pruned) {
+        children.push(pruned);
+      }
+      continue;
+    }
+    children.push(child);
+  }
+  return children.length ? createChromeFolder(folder.name, children, null, folder) : null;
+}
+
+function treeToChromeChildrenOrdered(tree, nextId, existingFolder = null, movedNodes = new Set()) {
+  const folders = [];
+
+  for (const [folderName, folderTree] of tree.folders.entries()) {
+    const existing = findChildFolder(existingFolder, folderName);
+    const folderChildren = treeToChromeChildrenOrdered(folderTree, nextId, existing, movedNodes);
+    folders.push(createChromeFolder(folderName, folderChildren, nextId, existing));
+  }
+
+  for (const child of safeArray(existingFolder?.children)) {
+    if (child && child.type === "folder" && !tree.folders.has(child.name)) {
+      const kept = pruneStaleFolder(child, movedNodes);
+      if (kept) {
+        folders.push(kept);
+      }
+    }
+  }
+
+  return arrangeChromeChildren(folders, tree.bookmarks, tree.sortOptions);
+}
+
+function mergeTreeIntoChromeFolder(folderNode, tree, nextId) {
+  if (!Array.isArray(folderNode.children)) {
+    folderNode.children = [];
+  }
+  let changed = false;
 
   for (const [folderName, folderTree] of tree.folders.entries()) {
+    const existing = findChildFolder(folderNode, folderName);
+    if (existing) {
+      mergeTreeIntoChromeFolder(existing, folderTree, nextId);
+      continue;
+    }
     const folderChildren = treeToChromeChildrenOrdered(folderTree, nextId);
-    output.push(createChromeFolder(folderName, folderChildren, nextId));
+    folderNode.children.push(createChromeFolder(folderName, folderChildren, nextId));
+    changed = true;
   }
 
   for (const bookmark of tree.bookmarks) {
-    output.push(bookmark);
+    folderNode.children.push(bookmark);
+    changed = true;
   }
 
-  return output;
+  if (changed) {
+    folderNode.date_modified = nowChromeTimestamp();
+  }
 }
 
 function setRootChildren(rootNode, children) {
@@ -472,7 +1471,7 @@ function getTimestampForFilename() {
 }
 
 function validateRootNames(sourceRoots, destinationRoot) {
-  const valid = new Set(["bookmark_bar", "other", "synced"]);
+  const valid = new Set(VALID_ROOT_NAMES);
 
   for (const root of sourceRoots) {
     if (!valid.has(root)) {
@@ -485,291 +1484,3460 @@ function validateRootNames(sourceRoots, destinationRoot) {
   }
 }
 
-function summarizeStats(statsMap, total) {
-  const entries = [...statsMap.entries()].sort((a, b) => b[1] - a[1]);
-  console.log(`Classified ${total} bookmarks.`);
-  for (const [pathKey, count] of entries) {
-    console.log(`  ${count.toString().padStart(4, " ")}  ${pathKey}`);
-  }
-}
+const BACKUP_FILENAME_PATTERN = /^(.+)\.(\d{8}-\d{6})(?:-(\d+))?(\.pre-restore)?\.backup\.json$/;
+const PRE_RESTORE_MARKER = ".pre-restore";
 
-function sanitizeBookmark(bookmark) {
-  const clone = { ...bookmark };
-  if (!clone.type) clone.type = "url";
-  if (!clone.guid && clone.type === "url") {
-    clone.guid = crypto.randomUUID();
+// `marker` tags backups that --restore writes of the file it replaces, so "latest" can skip them.
+async function getAvailableBackupPath(backupsDir, bookmarksFilename, marker = "") {
+  const stamp = getTimestampForFilename();
+  let candidate = path.join(backupsDir, `${bookmarksFilename}.${stamp}${marker}.backup.json`);
+  for (let suffix = 2; await pathExists(candidate); suffix += 1) {
+    candidate = path.join(backupsDir, `${bookmarksFilename}.${stamp}-${suffix}${marker}.backup.json`);
   }
-  if (!clone.date_last_used) {
-    clone.date_last_used = "0";
-  }
-  return clone;
+  return candidate;
 }
 
-function parseJsonWithOptionalBom(rawText) {
-  const cleaned = String(rawText).replace(/^\uFEFF/, "");
-  return JSON.parse(cleaned);
+function formatBackupTimestamp(stamp) {
+  return `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)} ${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}`;
 }
 
-function isChromeRunning() {
-  try {
-    if (process.platform === "win32") {
-      const output = execSync("tasklist /FI \"IMAGENAME eq chrome.exe\" /NH", {
-        encoding: "utf8",
-        stdio: ["ignore", "pipe", "ignore"]
-      });
-      return output.toLowerCase().includes("chrome.exe");
-    }
-
-    const output = execSync("ps -A -o comm", {
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "ignore"]
-    });
-    return output.toLowerCase().includes("chrome");
-  } catch {
-    return false;
+async function listBackupFiles(backupsDir, bookmarksFilename) {
+  if (!(await pathExists(backupsDir))) {
+    return [];
   }
-}
 
-function updateChecksumUtf8(hash, value) {
-  if (value === undefined || value === null) {
-    return;
+  const backups = [];
+  for (const filename of await fs.readdir(backupsDir)) {
+    const match = filename.match(BACKUP_FILENAME_PATTERN);
+    if (!match || match[1].toLowerCase() !== bookmarksFilename.toLowerCase()) {
+      continue;
+    }
+    backups.push({
+      filename,
+      filePath: path.join(backupsDir, filename),
+      timestamp: match[2],
+      sequence: Number(match[3] || 1),
+      preRestore: Boolean(match[4])
+    });
   }
-  hash.update(Buffer.from(String(value), "utf8"));
-}
 
-function updateChecksumUtf16(hash, value) {
-  if (value === undefined || value === null) {
-    return;
-  }
-  hash.update(Buffer.from(String(value), "utf16le"));
+  // Newest first; the timestamp format sorts lexically, same-second backups by suffix.
+  return backups.sort((a, b) => {
+    if (a.timestamp !== b.timestamp) {
+      return a.timestamp < b.timestamp ? 1 : -1;
+    }
+    return b.sequence - a.sequence;
+  });
 }
 
-function updateChecksumWithNode(hash, node) {
+function countBookmarksInNode(node) {
   if (!node || typeof node !== "object") {
-    return;
+    return 0;
   }
-
-  const nodeType = node.type === "folder" ? CHECKSUM_TYPE_FOLDER : CHECKSUM_TYPE_URL;
-  const nodeId = String(node.id || "");
-  const nodeName = String(node.name || "");
-
-  updateChecksumUtf8(hash, nodeId);
-  updateChecksumUtf16(hash, nodeName);
-  updateChecksumUtf8(hash, nodeType);
-
-  if (nodeType === CHECKSUM_TYPE_URL) {
-    updateChecksumUtf8(hash, String(node.url || ""));
-    return;
+  if (node.type === "url") {
+    return 1;
   }
-
+  let count = 0;
   for (const child of safeArray(node.children)) {
-    updateChecksumWithNode(hash, child);
+    count += countBookmarksInNode(child);
   }
+  return count;
 }
 
-function computeBookmarksChecksum(data) {
-  const hash = crypto.createHash("md5");
-  for (const rootName of ["bookmark_bar", "other", "synced"]) {
-    const node = data?.roots?.[rootName];
-    if (!node) {
-      continue;
-    }
-    updateChecksumWithNode(hash, node);
+function countBookmarks(data) {
+  let count = 0;
+  for (const rootNode of Object.values(data?.roots || {})) {
+    count += countBookmarksInNode(rootNode);
   }
-  return hash.digest("hex").toLowerCase();
+  return count;
 }
 
-function escapeHtml(value) {
-  return String(value || "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+async function readBackupInfo(backup) {
+  try {
+    const data = parseJsonWithOptionalBom(await fs.readFile(backup.filePath, "utf8"));
+    const checksum = computeBookmarksChecksum(data);
+    return {
+      ...backup,
+      bookmarkCount: countBookmarks(data),
+      checksum,
+      checksumMatches: !data.checksum || String(data.checksum).toLowerCase() === checksum,
+      error: null
+    };
+  } catch (err) {
+    return { ...backup, bookmarkCount: 0, checksum: "", checksumMatches: false, error: err.message };
+  }
 }
 
-function chromeMicrosToUnixSeconds(value) {
-  const raw = String(value || "0").trim();
-  if (!raw || raw === "0") {
-    return null;
+async function printBackupList(backupsDir, bookmarksFilename) {
+  const backups = await listBackupFiles(backupsDir, bookmarksFilename);
+  console.log(`Backups of ${bookmarksFilename} in ${backupsDir}:`);
+  if (!backups.length) {
+    console.log("  (none)");
+    return;
   }
 
-  try {
-    const micros = BigInt(raw);
-    const unixMicros = micros - EPOCH_OFFSET_MICROSECONDS;
-    if (unixMicros <= 0n) {
-      return null;
+  for (const backup of backups) {
+    const info = await readBackupInfo(backup);
+    if (info.error) {
+      console.log(`  ${formatBackupTimestamp(info.timestamp)}  UNREADABLE (${info.error})  ${info.filename}`);
+      continue;
     }
-    return Number(unixMicros / 1000000n);
-  } catch {
-    return null;
+    const count = String(info.bookmarkCount).padStart(6, " ");
+    const flag = `${info.preRestore ? "  (taken before a restore)" : ""}${info.checksumMatches ? "" : "  (stored checksum differs)"}`;
+    console.log(`  ${formatBackupTimestamp(info.timestamp)}  ${count} bookmarks  ${info.checksum}  ${info.filename}${flag}`);
   }
 }
 
-function renderBookmarkNodeHtml(node, indentLevel) {
-  const indent = "  ".repeat(indentLevel);
-  if (node.type === "url") {
-    const addDate = chromeMicrosToUnixSeconds(node.date_added);
-    const addDateAttr = addDate ? ` ADD_DATE="${addDate}"` : "";
-    return `${indent}<DT><A HREF="${escapeHtml(node.url)}"${addDateAttr}>${escapeHtml(node.name)}</A>\n`;
+async function resolveRestoreSource(source, backupsDir, bookmarksFilename) {
+  if (source === "latest") {
+    const latest = (await listBackupFiles(backupsDir, bookmarksFilename)).find((backup) => !backup.preRestore);
+    if (!latest) {
+      throw new Error(`No backups of ${bookmarksFilename} found in '${backupsDir}'.`);
+    }
+    return latest.filePath;
   }
 
-  const addDate = chromeMicrosToUnixSeconds(node.date_added);
-  const modDate = chromeMicrosToUnixSeconds(node.date_modified);
-  const addDateAttr = addDate ? ` ADD_DATE="${addDate}"` : "";
-  const modDateAttr = modDate ? ` LAST_MODIFIED="${modDate}"` : "";
-  let output = `${indent}<DT><H3${addDateAttr}${modDateAttr}>${escapeHtml(node.name)}</H3>\n`;
-  output += `${indent}<DL><p>\n`;
-  for (const child of safeArray(node.children)) {
-    output += renderBookmarkNodeHtml(child, indentLevel + 1);
+  const directPath = path.resolve(source);
+  if (await pathExists(directPath)) {
+    return directPath;
   }
-  output += `${indent}</DL><p>\n`;
-  return output;
-}
-
-function buildBookmarksHtml(nodes) {
-  let html = "";
-  html += "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n";
-  html += "<META HTTP-EQUIV=\"Content-Type\" CONTENT=\"text/html; charset=UTF-8\">\n";
-  html += "<TITLE>Bookmarks</TITLE>\n";
-  html += "<H1>Bookmarks</H1>\n";
-  html += "<DL><p>\n";
-  for (const node of nodes) {
-    html += renderBookmarkNodeHtml(node, 1);
+  const inBackupsDir = path.join(backupsDir, source);
+  if (await pathExists(inBackupsDir)) {
+    return inBackupsDir;
   }
-  html += "</DL><p>\n";
-  return html;
+  throw new Error(`Backup '${source}' was not found.`);
 }
 
-async function main() {
-  const args = parseArgs(process.argv);
-  if (args.help) {
-    printHelp();
-    return;
+async function restoreFromBackup(backupPath, bookmarksPath, backupsDir) {
+  const data = parseJsonWithOptionalBom(await fs.readFile(backupPath, "utf8"));
+  if (!data?.roots || typeof data.roots !== "object") {
+    throw new Error(`'${backupPath}' does not look like a Chrome bookmarks file (missing roots).`);
   }
 
-  if (args.apply && !args.force && isChromeRunning()) {
-    throw new Error(
-      "Chrome appears to be running. Close all chrome.exe processes and retry --apply, or use --force."
-    );
+  const bookmarksFilename = path.basename(bookmarksPath);
+  let safetyBackupPath = null;
+  if (await pathExists(bookmarksPath)) {
+    await ensureDir(backupsDir);
+    safetyBackupPath = await getAvailableBackupPath(backupsDir, bookmarksFilename, PRE_RESTORE_MARKER);
+    await fs.copyFile(bookmarksPath, safetyBackupPath);
   }
 
-  const configPath = path.resolve(args.configPath);
-  const rawConfig = await fs.readFile(configPath, "utf8");
-  const config = parseJsonWithOptionalBom(rawConfig);
+  data.checksum = computeBookmarksChecksum(data);
+  await writeBookmarksFile(bookmarksPath, data);
 
-  const sourceRoots = safeArray(config.sourceRoots).length
-    ? safeArray(config.sourceRoots)
-    : ["bookmark_bar", "other", "synced"];
-  const destinationRoot = args.destinationRoot || config.destinationRoot || "bookmark_bar";
-  const organizedFolderName = (config.organizedFolderName || "Organized").trim();
-  const includeEmptyFolders = config.includeEmptyFolders !== false;
-  const defaultPath = safeArray(config.defaultPath).length ? safeArray(config.defaultPath) : ["Uncategorized"];
-  const categories = safeArray(config.categories);
+  return { bookmarkCount: countBookmarks(data), safetyBackupPath };
+}
 
-  validateRootNames(sourceRoots, destinationRoot);
+async function pruneBackups(backupsDir, bookmarksFilename, keepCount) {
+  const backups = await listBackupFiles(backupsDir, bookmarksFilename);
+  const removed = [];
+  for (const backup of backups.slice(keepCount)) {
+    await fs.unlink(backup.filePath);
+    removed.push(backup.filePath);
+  }
+  return removed;
+}
 
-  const profileName = args.profile || await detectLastUsedProfileName();
-  const bookmarksPath = args.bookmarksPath
-    ? path.resolve(args.bookmarksPath)
-    : await detectDefaultBookmarksPath(profileName);
-  const bookmarksFilename = path.basename(bookmarksPath);
+const LINK_CHECK_USER_AGENT = "Mozilla/5.0 (compatible; bookmark-sorter link check)";
+const LINK_CHECK_DEFAULTS = {
+  concurrency: 8,
+  timeoutMs: 10000,
+  perHostIntervalMs: 1000,
+  maxRedirects: 5,
+  cacheFile: "link-check-cache.json",
+  cacheTtlHours: 168,
+  deadStatuses: [404, 410],
+  deadLinksPath: ["Dead Links"],
+  rewritePermanentRedirects: false,
+  reportPath: null
+};
+const DEAD_NETWORK_ERRORS = ["ENOTFOUND", "EAI_AGAIN", "ECONNREFUSED", "CERT_HAS_EXPIRED", "ERR_TLS_CERT_ALTNAME_INVALID"];
 
-  if (
-    args.apply &&
-    bookmarksFilename.toLowerCase() === "accountbookmarks" &&
-    !args.allowAccountApply
-  ) {
-    throw new Error(
-      "Refusing direct write to AccountBookmarks by default. Use --export-html and import in Chrome (sync-safe), or pass --allow-account-apply to override."
-    );
+function resolveLinkCheckOptions(linkCheckConfig) {
+  const raw = isPlainObject(linkCheckConfig) ? linkCheckConfig : {};
+  const options = { ...LINK_CHECK_DEFAULTS, ...raw };
+  options.deadLinksPath = raw.deadLinksPath === null ? null : safeArray(options.deadLinksPath);
+  if (options.deadLinksPath && !options.deadLinksPath.length) {
+    options.deadLinksPath = null;
   }
+  return options;
+}
 
-  const rawBookmarks = await fs.readFile(bookmarksPath, "utf8");
-  const data = parseJsonWithOptionalBom(rawBookmarks);
+// Minimal client: one request, no redirect following, body discarded. Swap it out with anything that has the
+// same request(url, { method, timeoutMs }) -> { status, location } shape (e.g. a stub or a local test server).
+function createHttpClient() {
+  return {
+    request(url, { method = "HEAD", timeoutMs = LINK_CHECK_DEFAULTS.timeoutMs } = {}) {
+      return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === "https:" ? https : http;
+        const req = transport.request(
+          target,
+          { method, headers: { "user-agent": LINK_CHECK_USER_AGENT, accept: "*/*" } },
+          (res) => {
+            resolve({ status: res.statusCode, location: res.headers.location || null });
+            res.destroy();
+          }
+        );
+        req.setTimeout(timeoutMs, () => {
+          const err = new Error(`Timed out after ${timeoutMs} ms`);
+          err.code = "ETIMEDOUT";
+          req.destroy(err);
+        });
+        req.on("error", reject);
+        req.end();
+      });
+    }
+  };
+}
 
-  const bookmarkEntries = collectAllBookmarks(data, sourceRoots);
-  const tree = createTreeNode();
+function createHostRateLimiter(intervalMs) {
+  const nextSlot = new Map();
+  return async (host) => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + intervalMs);
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  };
+}
 
-  if (includeEmptyFolders) {
-    addConfiguredFolders(tree, categories, []);
+async function requestLink(client, url, options, waitForHost) {
+  await waitForHost(hostFromUrl(url));
+  const head = await client.request(url, { method: "HEAD", timeoutMs: options.timeoutMs });
+  if (head.status < 400) {
+    return head;
   }
+  // Plenty of servers reject or mishandle HEAD; confirm failures with a GET before calling a link dead.
+  await waitForHost(hostFromUrl(url));
+  return client.request(url, { method: "GET", timeoutMs: options.timeoutMs });
+}
 
-  const stats = new Map();
-  for (const bookmarkEntry of bookmarkEntries) {
-    const folderPath = classifyBookmark(bookmarkEntry, categories, defaultPath);
-    ensurePath(tree, folderPath).bookmarks.push(sanitizeBookmark(bookmarkEntry.bookmark));
-    const key = pathToKey(folderPath);
-    stats.set(key, (stats.get(key) || 0) + 1);
-  }
+async function checkLink(url, client, options, waitForHost) {
+  let current = url;
+  let permanent = true;
+  for (let hops = 0; ; hops += 1) {
+    let response;
+    try {
+      response = await requestLink(client, current, options, waitForHost);
+    } catch (err) {
+      const code = err.code || "ERROR";
+      return {
+        state: DEAD_NETWORK_ERRORS.includes(code) ? "dead" : "error",
+        status: null,
+        error: `${code}: ${err.message}`,
+        finalUrl: current,
+        permanent: false
+      };
+    }
 
-  sortBookmarksInTree(tree);
+    const { status, location } = response;
+    if (status >= 300 && status < 400 && location && hops < options.maxRedirects) {
+      permanent = permanent && (status === 301 || status === 308);
+      try {
+        current = new URL(location, current).href;
+      } catch {
+        return { state: "error", status, error: `Invalid redirect location: ${location}`, finalUrl: current, permanent: false };
+      }
+      continue;
+    }
 
-  const nextId = createIdGenerator(data);
-  const categorizedChildren = treeToChromeChildrenOrdered(tree, nextId);
-  const destinationChildren = organizedFolderName
-    ? [createChromeFolder(organizedFolderName, categorizedChildren, nextId)]
-    : categorizedChildren;
+    let state = "error";
+    if (safeArray(options.deadStatuses).includes(status)) {
+      state = "dead";
+    } else if (status >= 200 && status < 400) {
+      state = hops ? "redirect" : "ok";
+    }
+    return { state, status, error: null, finalUrl: current, permanent: hops > 0 && permanent };
+  }
+}
 
-  const destinationNode = data?.roots?.[destinationRoot];
-  if (!destinationNode) {
-    throw new Error(`Destination root '${destinationRoot}' was not found in Bookmarks file.`);
+async function loadLinkCache(cachePath) {
+  try {
+    const cache = parseJsonWithOptionalBom(await fs.readFile(cachePath, "utf8"));
+    return isPlainObject(cache) ? cache : {};
+  } catch {
+    return {};
   }
+}
 
-  for (const rootName of sourceRoots) {
-    const node = data?.roots?.[rootName];
-    if (!node) {
+// Checks http(s) links with a worker pool, per-host spacing and an on-disk cache. Returns Map<entry, result>.
+async function checkLinks(entries, options, client = createHttpClient()) {
+  const cachePath = path.resolve(options.cacheFile);
+  const cache = await loadLinkCache(cachePath);
+  const maxAgeMs = Number(options.cacheTtlHours) * 3600 * 1000;
+  const waitForHost = createHostRateLimiter(Number(options.perHostIntervalMs) || 0);
+  const results = new Map();
+  const pendingByUrl = new Map();
+
+  for (const entry of entries) {
+    const url = String(entry.bookmark?.url || "");
+    if (!/^https?:\/\//i.test(url)) {
+      results.set(entry, { state: "skipped", status: null, error: null, finalUrl: url, permanent: false, cached: false });
       continue;
     }
-    if (rootName === destinationRoot) {
-      setRootChildren(node, destinationChildren);
-    } else {
-      setRootChildren(node, []);
+    const cached = cache[url];
+    if (cached && Date.now() - Date.parse(cached.checkedAt) < maxAgeMs) {
+      results.set(entry, { ...cached, cached: true });
+      continue;
+    }
+    if (!pendingByUrl.has(url)) {
+      pendingByUrl.set(url, []);
     }
+    pendingByUrl.get(url).push(entry);
   }
 
-  console.log(`Bookmarks file: ${bookmarksPath}`);
-  if (!args.bookmarksPath) {
-    console.log(`Profile:        ${profileName}`);
+  const queue = [...pendingByUrl.keys()];
+  let done = 0;
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      const result = await checkLink(url, client, options, waitForHost);
+      // Timeouts and server errors are often transient, so only settled answers are cached.
+      if (result.state !== "error") {
+        cache[url] = { ...result, checkedAt: new Date().toISOString() };
+      }
+      for (const entry of pendingByUrl.get(url)) {
+        results.set(entry, { ...result, cached: false });
+      }
+      done += 1;
+      if (done % 25 === 0 || done === pendingByUrl.size) {
+        console.log(`  checked ${done}/${pendingByUrl.size} links`);
+      }
+    }
+  };
+
+  if (queue.length) {
+    console.log(`Checking ${queue.length} links (${results.size} cached or skipped)...`);
   }
-  console.log(`Config file:    ${configPath}`);
-  console.log(`Mode:           ${args.apply ? "APPLY (write changes)" : "DRY RUN (no write)"}`);
-  console.log(`Source roots:   ${sourceRoots.join(", ")}`);
-  console.log(`Destination:    ${destinationRoot}${organizedFolderName ? `/${organizedFolderName}` : ""}`);
-  summarizeStats(stats, bookmarkEntries.length);
+  const workerCount = Math.max(1, Math.min(Number(options.concurrency) || 1, queue.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
 
-  if (args.exportHtmlPath) {
-    const exportPath = path.resolve(args.exportHtmlPath);
-    const html = buildBookmarksHtml(destinationChildren);
-    await ensureDir(path.dirname(exportPath));
-    await fs.writeFile(exportPath, html, "utf8");
-    console.log(`HTML export:    ${exportPath}`);
+  await ensureDir(path.dirname(cachePath));
+  await fs.writeFile(cachePath, JSON.stringify(cache, null, 2), "utf8");
+  return results;
+}
+
+function summarizeLinkResults(linkResults, options) {
+  const counts = new Map();
+  for (const result of linkResults.values()) {
+    counts.set(result.state, (counts.get(result.state) || 0) + 1);
   }
+  console.log(`\nLink check: ${[...counts.entries()].map(([state, count]) => `${count} ${state}`).join(", ")}`);
 
-  if (!args.apply) {
-    if (args.exportHtmlPath) {
-      console.log("\nExport complete. Import this HTML from Chrome Bookmark Manager.");
-    } else {
-      console.log("\nDry run complete. Re-run with --apply after closing Chrome.");
+  for (const [entry, result] of linkResults.entries()) {
+    if (result.state === "ok" || result.state === "skipped") {
+      continue;
+    }
+    const label = result.state.toUpperCase().padEnd(8, " ");
+    const status = result.status ? String(result.status) : result.error;
+    let line = `  ${label} ${status}  ${entry.bookmark.name || "(untitled)"} <${entry.bookmark.url}>`;
+    if (result.state === "redirect") {
+      line += ` -> ${result.finalUrl}${result.permanent ? " (permanent)" : ""}`;
+      if (result.permanent && options.rewritePermanentRedirects) {
+        line += " [rewritten]";
+      }
+    }
+    console.log(line);
+  }
+}
+
+async function writeLinkReport(reportPath, linkResults) {
+  const rows = [...linkResults.entries()].map(([entry, result]) => ({
+    name: entry.bookmark.name,
+    url: entry.bookmark.url,
+    source: describeEntryLocation(entry),
+    state: result.state,
+    status: result.status,
+    error: result.error,
+    finalUrl: result.finalUrl,
+    permanentRedirect: result.permanent,
+    cached: result.cached
+  }));
+  const outputPath = path.resolve(reportPath);
+  await ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, JSON.stringify(rows, null, 2), "utf8");
+  return outputPath;
+}
+
+const VALID_ROOT_NAMES = ["bookmark_bar", "other", "synced"];
+const CONFIG_KEYS = [
+  "sourceRoots",
+  "destinationRoot",
+  "organizedFolderName",
+  "includeEmptyFolders",
+  "defaultPath",
+  "dedupe",
+  "backupRetention",
+  "sort",
+  "profileOverrides",
+  "linkCheck",
+  "dynamicFolderMinCount",
+  "classification",
+  "scoring",
+  "keep",
+  "rename",
+  "archive",
+  "categories"
+];
+const KEEP_KEYS = ["folders", "folderRegex", "urls"];
+const CATEGORY_KEYS = ["name", "children", "match", "sort", "minCount"];
+const MATCH_TEXT_KEYS = [
+  "keywords",
+  "nameContains",
+  "urlContains",
+  "urls",
+  "domains",
+  "pathContains",
+  "roots",
+  "excludeKeywords",
+  "excludeNameContains",
+  "excludeUrlContains",
+  "excludeUrls",
+  "excludeDomains",
+  "excludePathContains"
+];
+const MATCH_REGEX_KEYS = ["regex", "pathRegex", "excludeRegex", "excludePathRegex"];
+const MATCH_MODES = ["any", "all"];
+const MATCH_PLUGIN_KEYS = ["plugin", "excludePlugin"];
+const MATCH_DATE_KEYS = ["addedBefore", "addedAfter", "olderThanDays", "unusedForDays", "neverUsed"];
+const MATCH_URL_KEYS = [...Object.keys(URL_MATCH_CHECKS), ...Object.keys(URL_MATCH_CHECKS).map(excludeKeyFor)];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateStringList(value, jsonPath, problems) {
+  if (!Array.isArray(value)) {
+    problems.push({ path: jsonPath, message: "must be an array of strings" });
+    return;
+  }
+  value.forEach((item, index) => {
+    if (typeof item !== "string" || !item.trim()) {
+      problems.push({ path: `${jsonPath}[${index}]`, message: "must be a non-empty string" });
+    }
+  });
+}
+
+function validateMatchSpec(spec, jsonPath, problems) {
+  if (!isPlainObject(spec)) {
+    problems.push({ path: jsonPath, message: "must be an object" });
+    return;
+  }
+
+  let positiveChecks = 0;
+  for (const [key, value] of Object.entries(spec)) {
+    const keyPath = `${jsonPath}.${key}`;
+    if (key === "mode") {
+      if (!MATCH_MODES.includes(value)) {
+        problems.push({ path: keyPath, message: `must be one of: ${MATCH_MODES.join(", ")} (got ${JSON.stringify(value)})` });
+      }
+      continue;
+    }
+    if (key === "weights") {
+      validateMatchWeights(value, keyPath, problems);
+      continue;
+    }
+    if (MATCH_DATE_KEYS.includes(key)) {
+      validateDateCheck(key, value, keyPath, problems);
+      positiveChecks += 1;
+      continue;
+    }
+    if (key === "isIp") {
+      if (typeof value !== "boolean") {
+        problems.push({ path: keyPath, message: "must be true or false" });
+      } else {
+        positiveChecks += 1;
+      }
+      continue;
+    }
+    if (MATCH_PLUGIN_KEYS.includes(key)) {
+      validateMatcherPlugin(value, keyPath, problems);
+      if (key === "plugin") {
+        positiveChecks += 1;
+      }
+      continue;
+    }
+    if (key === "options" || key === "excludeOptions") {
+      if (!isPlainObject(value)) {
+        problems.push({ path: keyPath, message: "must be an object" });
+      }
+      continue;
+    }
+    if (MATCH_TEXT_KEYS.includes(key)) {
+      validateStringList(value, keyPath, problems);
+    } else if (MATCH_URL_KEYS.includes(key)) {
+      validateUrlMatchList(key, value, keyPath, problems);
+    } else if (MATCH_REGEX_KEYS.includes(key)) {
+      validateStringList(value, keyPath, problems);
+      safeArray(value).forEach((pattern, index) => {
+        if (typeof pattern !== "string") {
+          return;
+        }
+        try {
+          new RegExp(pattern, "i");
+        } catch (err) {
+          problems.push({ path: `${keyPath}[${index}]`, message: `invalid regular expression (${err.message})` });
+        }
+      });
+    } else {
+      problems.push({ path: keyPath, message: "unknown match key" });
+      continue;
+    }
+    if (key === "roots") {
+      safeArray(value).forEach((root, index) => {
+        if (typeof root === "string" && !VALID_ROOT_NAMES.includes(normalize(root))) {
+          problems.push({ path: `${keyPath}[${index}]`, message: `must be one of: ${VALID_ROOT_NAMES.join(", ")}` });
+        }
+      });
+    }
+    if (!key.startsWith("exclude") && safeArray(value).length) {
+      positiveChecks += 1;
+    }
+  }
+
+  if (!positiveChecks) {
+    problems.push({ path: jsonPath, message: "has no match checks, so it can never match" });
+  }
+}
+
+function validateRenameSpec(rename, problems) {
+  if (!isPlainObject(rename)) {
+    problems.push({ path: "rename", message: "must be an object with rules" });
+    return;
+  }
+  for (const key of Object.keys(rename)) {
+    if (!RENAME_KEYS.includes(key)) {
+      problems.push({ path: `rename.${key}`, message: `unknown key; expected one of: ${RENAME_KEYS.join(", ")}` });
+    }
+  }
+  if (rename.preview !== undefined && typeof rename.preview !== "boolean") {
+    problems.push({ path: "rename.preview", message: "must be true or false" });
+  }
+  if (!Array.isArray(rename.rules)) {
+    problems.push({ path: "rename.rules", message: "must be an array of rules" });
+    return;
+  }
+  rename.rules.forEach((rule, index) => {
+    const rulePath = `rename.rules[${index}]`;
+    if (!isPlainObject(rule)) {
+      problems.push({ path: rulePath, message: "must be an object" });
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RENAME_RULE_KEYS.includes(key)) {
+        problems.push({ path: `${rulePath}.${key}`, message: `unknown key; expected one of: ${RENAME_RULE_KEYS.join(", ")}` });
+      }
+    }
+    if (typeof rule.pattern !== "string" || !rule.pattern) {
+      problems.push({ path: `${rulePath}.pattern`, message: "is required and must be a regular expression string" });
+    } else {
+      try {
+        new RegExp(rule.pattern, rule.flags ?? "gi");
+      } catch (err) {
+        problems.push({ path: `${rulePath}.pattern`, message: `invalid regular expression or flags (${err.message})` });
+      }
+    }
+    if (rule.replace !== undefined && typeof rule.replace !== "string") {
+      problems.push({ path: `${rulePath}.replace`, message: "must be a string" });
+    }
+    for (const key of ["domains", "categories"]) {
+      if (rule[key] !== undefined) {
+        validateStringList(rule[key], `${rulePath}.${key}`, problems);
+      }
+    }
+  });
+}
+
+function validateDateCheck(key, value, jsonPath, problems) {
+  if (key === "neverUsed") {
+    if (typeof value !== "boolean") {
+      problems.push({ path: jsonPath, message: "must be true or false" });
+    }
+  } else if (key === "addedBefore" || key === "addedAfter") {
+    if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+      problems.push({ path: jsonPath, message: "must be a date like \"2024-01-31\"" });
+    }
+  } else if (typeof value !== "number" || value < 0) {
+    problems.push({ path: jsonPath, message: "must be a number of days" });
+  }
+}
+
+function validateUrlMatchList(key, value, jsonPath, problems) {
+  const baseKey = key.replace(/^exclude(.)/, (_, first) => first.toLowerCase());
+  if (baseKey === "ports") {
+    if (!Array.isArray(value)) {
+      problems.push({ path: jsonPath, message: "must be an array of port numbers" });
+      return;
+    }
+    value.forEach((port, index) => {
+      const number = Number(port);
+      if ((typeof port !== "number" && typeof port !== "string") || !Number.isInteger(number) || number < 1 || number > 65535) {
+        problems.push({ path: `${jsonPath}[${index}]`, message: "must be a port number from 1 to 65535" });
+      }
+    });
+    return;
+  }
+  validateStringList(value, jsonPath, problems);
+  safeArray(value).forEach((item, index) => {
+    if (typeof item !== "string") {
+      return;
+    }
+    if (baseKey === "urlTypes" && !URL_TYPES.includes(normalize(item))) {
+      problems.push({ path: `${jsonPath}[${index}]`, message: `must be one of: ${URL_TYPES.join(", ")}` });
+    }
+    if (baseKey === "queryEquals" && !item.includes("=")) {
+      problems.push({ path: `${jsonPath}[${index}]`, message: "must look like name=value" });
+    }
+  });
+}
+
+function validateMatcherPlugin(pluginPath, jsonPath, problems) {
+  if (typeof pluginPath !== "string" || !pluginPath.trim()) {
+    problems.push({ path: jsonPath, message: "must be a path to a JavaScript module" });
+    return;
+  }
+  try {
+    loadMatcherPlugin(pluginPath);
+  } catch (err) {
+    problems.push({ path: jsonPath, message: `could not load matcher plugin (${err.message.split("\n")[0]})` });
+  }
+}
+
+function validateMatchWeights(weights, jsonPath, problems) {
+  if (!isPlainObject(weights)) {
+    problems.push({ path: jsonPath, message: "must be an object of check names to numbers" });
+    return;
+  }
+  const weightedKeys = [...MATCH_TEXT_KEYS, ...MATCH_REGEX_KEYS, ...MATCH_URL_KEYS, ...MATCH_DATE_KEYS, "isIp", "plugin"]
+    .filter((key) => !key.startsWith("exclude"));
+  for (const [key, weight] of Object.entries(weights)) {
+    if (!weightedKeys.includes(key)) {
+      problems.push({ path: `${jsonPath}.${key}`, message: `is not a weighable check; expected one of: ${weightedKeys.join(", ")}` });
+    } else if (typeof weight !== "number" || !Number.isFinite(weight)) {
+      problems.push({ path: `${jsonPath}.${key}`, message: "must be a number" });
+    }
+  }
+}
+
+function validateSortSpec(spec, jsonPath, problems) {
+  if (typeof spec === "string") {
+    if (!SORT_KEYS.includes(spec)) {
+      problems.push({ path: jsonPath, message: `must be one of: ${SORT_KEYS.join(", ")}` });
+    }
+    return;
+  }
+  if (!isPlainObject(spec)) {
+    problems.push({ path: jsonPath, message: "must be a sort key string or an object" });
+    return;
+  }
+
+  const allowed = { by: SORT_KEYS, order: SORT_ORDERS, folders: SORT_FOLDER_PLACEMENTS, folderOrder: SORT_FOLDER_ORDERS };
+  for (const [key, value] of Object.entries(spec)) {
+    if (!allowed[key]) {
+      problems.push({ path: `${jsonPath}.${key}`, message: "unknown sort key" });
+    } else if (!allowed[key].includes(value)) {
+      problems.push({ path: `${jsonPath}.${key}`, message: `must be one of: ${allowed[key].join(", ")}` });
+    }
+  }
+}
+
+function validateCategoryList(categories, jsonPath, problems) {
+  if (!Array.isArray(categories)) {
+    problems.push({ path: jsonPath, message: "must be an array of categories" });
+    return;
+  }
+
+  const seenNames = new Map();
+  categories.forEach((category, index) => {
+    const categoryPath = `${jsonPath}[${index}]`;
+    if (!isPlainObject(category)) {
+      problems.push({ path: categoryPath, message: "must be an object" });
+      return;
+    }
+
+    for (const key of Object.keys(category)) {
+      if (!CATEGORY_KEYS.includes(key)) {
+        problems.push({ path: `${categoryPath}.${key}`, message: "unknown category key" });
+      }
+    }
+
+    if (typeof category.name !== "string" || !category.name.trim()) {
+      problems.push({ path: `${categoryPath}.name`, message: "is required and must be a non-empty string" });
+    } else if (isFolderTemplate(category.name)) {
+      for (const [, variable] of category.name.matchAll(FOLDER_TEMPLATE_PATTERN)) {
+        if (!FOLDER_TEMPLATE_VARIABLES.includes(variable) && !/^\d+$/.test(variable)) {
+          problems.push({
+            path: `${categoryPath}.name`,
+            message: `unknown template variable {${variable}}; use ${FOLDER_TEMPLATE_VARIABLES.map((name) => `{${name}}`).join(", ")} or a regex group like {1}`
+          });
+        }
+      }
+    } else {
+      const siblingKey = category.name.trim().toLowerCase();
+      if (seenNames.has(siblingKey)) {
+        problems.push({
+          path: `${categoryPath}.name`,
+          message: `duplicates sibling folder name '${category.name}' (also at ${seenNames.get(siblingKey)}); both rules file into the same folder`,
+          warning: true
+        });
+      } else {
+        seenNames.set(siblingKey, categoryPath);
+      }
+    }
+
+    if (category.match !== undefined) {
+      validateMatchSpec(category.match, `${categoryPath}.match`, problems);
+    }
+    if (category.sort !== undefined) {
+      validateSortSpec(category.sort, `${categoryPath}.sort`, problems);
+    }
+    if (category.minCount !== undefined && (!Number.isInteger(category.minCount) || category.minCount < 1)) {
+      problems.push({ path: `${categoryPath}.minCount`, message: "must be a positive whole number" });
+    }
+    if (category.children !== undefined) {
+      validateCategoryList(category.children, `${categoryPath}.children`, problems);
+    }
+    if (category.match === undefined && !safeArray(category.children).length) {
+      problems.push({
+        path: categoryPath,
+        message: "has neither match nor children, so nothing can be filed in it",
+        warning: true
+      });
+    }
+  });
+}
+
+function validateConfig(config) {
+  const problems = [];
+  if (!isPlainObject(config)) {
+    return [{ path: "(root)", message: "config must be a JSON object" }];
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      problems.push({ path: key, message: "unknown config key" });
+    }
+  }
+
+  if (config.sourceRoots !== undefined) {
+    validateStringList(config.sourceRoots, "sourceRoots", problems);
+    safeArray(config.sourceRoots).forEach((root, index) => {
+      if (typeof root === "string" && !VALID_ROOT_NAMES.includes(root)) {
+        problems.push({ path: `sourceRoots[${index}]`, message: `must be one of: ${VALID_ROOT_NAMES.join(", ")}` });
+      }
+    });
+  }
+  if (config.destinationRoot !== undefined && !VALID_ROOT_NAMES.includes(config.destinationRoot)) {
+    problems.push({ path: "destinationRoot", message: `must be one of: ${VALID_ROOT_NAMES.join(", ")}` });
+  }
+  if (config.organizedFolderName !== undefined && typeof config.organizedFolderName !== "string") {
+    problems.push({ path: "organizedFolderName", message: "must be a string" });
+  }
+  if (config.includeEmptyFolders !== undefined && typeof config.includeEmptyFolders !== "boolean") {
+    problems.push({ path: "includeEmptyFolders", message: "must be true or false" });
+  }
+  if (config.defaultPath !== undefined) {
+    validateStringList(config.defaultPath, "defaultPath", problems);
+  }
+  if (config.keep !== undefined) {
+    if (!isPlainObject(config.keep)) {
+      problems.push({ path: "keep", message: "must be an object" });
+    } else {
+      for (const [key, value] of Object.entries(config.keep)) {
+        if (!KEEP_KEYS.includes(key)) {
+          problems.push({ path: `keep.${key}`, message: `unknown key; expected one of: ${KEEP_KEYS.join(", ")}` });
+          continue;
+        }
+        validateStringList(value, `keep.${key}`, problems);
+        if (key === "folderRegex") {
+          safeArray(value).forEach((pattern, index) => {
+            if (typeof pattern === "string" && !toRegex(pattern)) {
+              problems.push({ path: `keep.folderRegex[${index}]`, message: "invalid regular expression" });
+            }
+          });
+        }
+      }
+    }
+  }
+  if (config.rename !== undefined) {
+    validateRenameSpec(config.rename, problems);
+  }
+  if (config.archive !== undefined) {
+    if (!isPlainObject(config.archive)) {
+      problems.push({ path: "archive", message: "must be an object" });
+    } else {
+      for (const [key, value] of Object.entries(config.archive)) {
+        const keyPath = `archive.${key}`;
+        if (!(key in ARCHIVE_DEFAULTS)) {
+          problems.push({ path: keyPath, message: `unknown key; expected one of: ${Object.keys(ARCHIVE_DEFAULTS).join(", ")}` });
+        } else if (key === "path") {
+          validateStringList(value, keyPath, problems);
+        } else if (key === "groupBy" && !ARCHIVE_GROUPS.includes(value)) {
+          problems.push({ path: keyPath, message: `must be one of: ${ARCHIVE_GROUPS.join(", ")}` });
+        }
+      }
+      if (typeof config.archive.unusedForDays !== "number" || config.archive.unusedForDays < 0) {
+        problems.push({ path: "archive.unusedForDays", message: "is required and must be a number of days" });
+      }
+    }
+  }
+  if (config.classification !== undefined && !CLASSIFICATION_MODES.includes(config.classification)) {
+    problems.push({ path: "classification", message: `must be one of: ${CLASSIFICATION_MODES.join(", ")}` });
+  }
+  if (config.scoring !== undefined) {
+    if (!isPlainObject(config.scoring)) {
+      problems.push({ path: "scoring", message: "must be an object" });
+    } else {
+      for (const key of Object.keys(config.scoring)) {
+        if (!Object.hasOwn(DEFAULT_SCORING_OPTIONS, key)) {
+          problems.push({ path: `scoring.${key}`, message: `unknown key; expected one of: ${Object.keys(DEFAULT_SCORING_OPTIONS).join(", ")}` });
+        } else if (typeof config.scoring[key] !== "number" || config.scoring[key] < 0) {
+          problems.push({ path: `scoring.${key}`, message: "must be a number of 0 or more" });
+        }
+      }
+    }
+  }
+  if (config.dynamicFolderMinCount !== undefined) {
+    if (!Number.isInteger(config.dynamicFolderMinCount) || config.dynamicFolderMinCount < 1) {
+      problems.push({ path: "dynamicFolderMinCount", message: "must be a positive whole number" });
+    }
+  }
+  if (config.backupRetention !== undefined && config.backupRetention !== null) {
+    if (!Number.isInteger(config.backupRetention) || config.backupRetention < 1) {
+      problems.push({ path: "backupRetention", message: "must be a positive whole number" });
+    }
+  }
+  if (config.sort !== undefined) {
+    validateSortSpec(config.sort, "sort", problems);
+  }
+  if (config.linkCheck !== undefined) {
+    if (!isPlainObject(config.linkCheck)) {
+      problems.push({ path: "linkCheck", message: "must be an object" });
+    } else {
+      for (const [key, value] of Object.entries(config.linkCheck)) {
+        const keyPath = `linkCheck.${key}`;
+        if (!(key in LINK_CHECK_DEFAULTS)) {
+          problems.push({ path: keyPath, message: "unknown linkCheck key" });
+        } else if (["concurrency", "timeoutMs", "perHostIntervalMs", "maxRedirects", "cacheTtlHours"].includes(key)) {
+          if (typeof value !== "number" || value < 0) {
+            problems.push({ path: keyPath, message: "must be a non-negative number" });
+          }
+        } else if (key === "deadStatuses" && (!Array.isArray(value) || value.some((code) => !Number.isInteger(code)))) {
+          problems.push({ path: keyPath, message: "must be an array of HTTP status codes" });
+        } else if (key === "deadLinksPath" && value !== null) {
+          validateStringList(value, keyPath, problems);
+        } else if (key === "rewritePermanentRedirects" && typeof value !== "boolean") {
+          problems.push({ path: keyPath, message: "must be true or false" });
+        } else if ((key === "cacheFile" || key === "reportPath") && value !== null && typeof value !== "string") {
+          problems.push({ path: keyPath, message: "must be a file path" });
+        }
+      }
+    }
+  }
+  if (config.profileOverrides !== undefined) {
+    if (!isPlainObject(config.profileOverrides)) {
+      problems.push({ path: "profileOverrides", message: "must be an object keyed by profile folder or name" });
+    } else {
+      for (const [profileKey, override] of Object.entries(config.profileOverrides)) {
+        const overridePath = `profileOverrides[${JSON.stringify(profileKey)}]`;
+        if (!isPlainObject(override)) {
+          problems.push({ path: overridePath, message: "must be an object of config settings" });
+        } else if (override.profileOverrides !== undefined) {
+          problems.push({ path: `${overridePath}.profileOverrides`, message: "cannot be nested" });
+        }
+      }
+    }
+  }
+  if (config.dedupe !== undefined) {
+    if (!isPlainObject(config.dedupe)) {
+      problems.push({ path: "dedupe", message: "must be an object" });
+    } else {
+      if (config.dedupe.keep !== undefined && !DEDUPE_KEEP_STRATEGIES.includes(config.dedupe.keep)) {
+        problems.push({ path: "dedupe.keep", message: `must be one of: ${DEDUPE_KEEP_STRATEGIES.join(", ")}` });
+      }
+      if (config.dedupe.stripQueryParams !== undefined) {
+        validateStringList(config.dedupe.stripQueryParams, "dedupe.stripQueryParams", problems);
+      }
+      if (config.dedupe.domainRules !== undefined && !isPlainObject(config.dedupe.domainRules)) {
+        problems.push({ path: "dedupe.domainRules", message: "must be an object keyed by domain" });
+      }
+    }
+  }
+
+  validateCategoryList(config.categories === undefined ? [] : config.categories, "categories", problems);
+  return problems;
+}
+
+function printConfigProblems(problems) {
+  for (const problem of problems) {
+    console.log(`  ${problem.warning ? "warning" : "error  "}  ${problem.path}: ${problem.message}`);
+  }
+}
+
+function reportConfigErrors(problems, args) {
+  const errors = problems.filter((problem) => !problem.warning);
+  if (!errors.length) {
+    return;
+  }
+  console.log(`Config has ${errors.length} error(s):`);
+  printConfigProblems(errors);
+  if (args.apply) {
+    throw new Error("Refusing to --apply with an invalid config. Fix the errors above (see --validate-config).");
+  }
+  console.log("Continuing the dry run anyway; results may be wrong.\n");
+}
+
+function summarizeStats(statsMap, total) {
+  const entries = [...statsMap.entries()].sort((a, b) => b[1] - a[1]);
+  console.log(`Classified ${total} bookmarks.`);
+  for (const [pathKey, count] of entries) {
+    console.log(`  ${count.toString().padStart(4, " ")}  ${pathKey}`);
+  }
+}
+
+function describeEntryLocation(entry) {
+  return [entry.rootName, ...safeArray(entry.sourcePath)].join(" > ");
+}
+
+function summarizeDuplicates(dropped, keep) {
+  if (!dropped.length) {
+    return;
+  }
+  console.log(`\nDropped ${dropped.length} duplicate bookmarks (keep: ${keep}).`);
+  for (const { entry, survivor } of dropped) {
+    console.log(`  - ${entry.bookmark.name || "(untitled)"} <${entry.bookmark.url}>  [${describeEntryLocation(entry)}]`);
+    console.log(`      kept: ${survivor.bookmark.name || "(untitled)"} <${survivor.bookmark.url}>  [${describeEntryLocation(survivor)}]`);
+  }
+}
+
+function collectFolderPathKeys(node, pathPrefix, output = new Set()) {
+  for (const child of safeArray(node?.children)) {
+    if (child?.type === "folder") {
+      const folderPath = [...pathPrefix, child.name];
+      output.add(pathToKey(folderPath));
+      collectFolderPathKeys(child, folderPath, output);
+    }
+  }
+  return output;
+}
+
+// One row per bookmark: where it is now, where it goes, and why that is worth a look.
+function buildMovePlan(placements, duplicates, options) {
+  const { destinationRoot, destinationPrefix, defaultPath, existingFolderKeys } = options;
+  const defaultKey = pathToKey(defaultPath);
+  const rows = placements.map(({ entry, path: folderPath, deadLink, archived }) => {
+    const toPath = [...destinationPrefix, ...folderPath];
+    return {
+      title: entry.bookmark.name || "",
+      url: entry.bookmark.url || "",
+      from: { root: entry.rootName, path: safeArray(entry.sourcePath) },
+      to: { root: destinationRoot, path: toPath },
+      unchanged: entry.rootName === destinationRoot && pathToKey(safeArray(entry.sourcePath)) === pathToKey(toPath),
+      newFolder: !existingFolderKeys.has(pathToKey(toPath)),
+      defaulted: !deadLink && !archived && pathToKey(folderPath) === defaultKey,
+      deadLink: Boolean(deadLink),
+      archived: Boolean(archived),
+      duplicateOf: null
+    };
+  });
+  for (const { entry, survivor } of duplicates) {
+    rows.push({
+      title: entry.bookmark.name || "",
+      url: entry.bookmark.url || "",
+      from: { root: entry.rootName, path: safeArray(entry.sourcePath) },
+      to: null,
+      unchanged: false,
+      newFolder: false,
+      defaulted: false,
+      deadLink: false,
+      archived: false,
+      duplicateOf: { title: survivor.bookmark.name || "", url: survivor.bookmark.url || "" }
+    });
+  }
+  const placed = rows.filter((row) => row.to);
+  return {
+    summary: {
+      total: rows.length,
+      moved: placed.filter((row) => !row.unchanged).length,
+      unchanged: placed.filter((row) => row.unchanged).length,
+      defaulted: placed.filter((row) => row.defaulted).length,
+      archived: placed.filter((row) => row.archived).length,
+      newFolders: new Set(placed.filter((row) => row.newFolder).map((row) => pathToKey(row.to.path))).size,
+      duplicatesRemoved: rows.length - placed.length
+    },
+    bookmarks: rows
+  };
+}
+
+function summarizeMovePlan(plan) {
+  const { moved, unchanged, defaulted, archived, newFolders, duplicatesRemoved } = plan.summary;
+  console.log(
+    `\nPlan: ${moved} moved, ${unchanged} unchanged, ${defaulted} defaulted, ${newFolders} new folder(s)` +
+      `${archived ? `, ${archived} archived` : ""}${duplicatesRemoved ? `, ${duplicatesRemoved} duplicate(s) removed` : ""}.`
+  );
+}
+
+// Self-contained page: the plan is embedded as JSON and rendered client-side so the filters need no server.
+function buildMovePlanHtml(plan) {
+  const json = JSON.stringify(plan).replace(/</g, "\\u003c");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bookmark move plan</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5em; color: #222; }
+  .controls { display: flex; gap: 1em; align-items: center; margin-bottom: 1em; flex-wrap: wrap; }
+  input[type=search] { width: 24em; padding: 0.3em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.3em 0.5em; border-bottom: 1px solid #ddd; vertical-align: top; }
+  th { background: #f4f4f4; position: sticky; top: 0; }
+  td.url { word-break: break-all; color: #555; }
+  .flag { display: inline-block; font-size: 11px; padding: 0 0.4em; margin-right: 0.3em; border-radius: 3px; background: #eee; }
+  .flag.defaulted { background: #ffe8b3; } .flag.newFolder { background: #d6f0ff; } .flag.unchanged { background: #e2e2e2; }
+  .flag.deadLink { background: #ffd0d0; } .flag.archived { background: #d8ecd0; } .flag.duplicate { background: #ead6ff; }
+</style>
+</head>
+<body>
+<h1>Bookmark move plan</h1>
+<p id="summary"></p>
+<div class="controls">
+  <input type="search" id="filter" placeholder="Filter by title, URL or folder">
+  <label><select id="show">
+    <option value="all">All bookmarks</option>
+    <option value="moved">Moved</option>
+    <option value="unchanged">Unchanged</option>
+    <option value="defaulted">Fell to default</option>
+    <option value="newFolder">Into a new folder</option>
+    <option value="deadLink">Dead links</option>
+    <option value="archived">Archived</option>
+    <option value="duplicate">Removed duplicates</option>
+  </select></label>
+  <span id="count"></span>
+</div>
+<table>
+  <thead><tr><th>Title</th><th>URL</th><th>From</th><th>To</th><th>Flags</th></tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+<script id="plan" type="application/json">${json}</script>
+<script>
+  const plan = JSON.parse(document.getElementById("plan").textContent);
+  const s = plan.summary;
+  document.getElementById("summary").textContent = s.moved + " moved, " + s.unchanged + " unchanged, " + s.defaulted +
+    " defaulted, " + s.newFolders + " new folder(s), " + s.archived + " archived, " + s.duplicatesRemoved +
+    " duplicate(s) removed.";
+  const where = (location) => location ? [location.root, ...location.path].join(" > ") : "(removed)";
+  const flagsOf = (row) => ["unchanged", "newFolder", "defaulted", "deadLink", "archived"].filter((flag) => row[flag])
+    .concat(row.duplicateOf ? ["duplicate"] : []);
+  const tests = {
+    all: () => true,
+    moved: (row) => row.to && !row.unchanged,
+    unchanged: (row) => row.unchanged,
+    defaulted: (row) => row.defaulted,
+    newFolder: (row) => row.newFolder,
+    deadLink: (row) => row.deadLink,
+    archived: (row) => row.archived,
+    duplicate: (row) => Boolean(row.duplicateOf)
+  };
+  const cell = (text, className) => {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (className) td.className = className;
+    return td;
+  };
+  function render() {
+    const needle = document.getElementById("filter").value.trim().toLowerCase();
+    const test = tests[document.getElementById("show").value];
+    const body = document.getElementById("rows");
+    body.textContent = "";
+    let shown = 0;
+    for (const row of plan.bookmarks) {
+      const text = [row.title, row.url, where(row.from), where(row.to)].join(" ").toLowerCase();
+      if (!test(row) || (needle && !text.includes(needle))) continue;
+      shown += 1;
+      const tr = document.createElement("tr");
+      tr.append(cell(row.title), cell(row.url, "url"), cell(where(row.from)),
+        cell(row.duplicateOf ? "duplicate of " + row.duplicateOf.url : where(row.to)));
+      const flags = document.createElement("td");
+      for (const flag of flagsOf(row)) {
+        const span = document.createElement("span");
+        span.className = "flag " + flag;
+        span.textContent = flag;
+        flags.append(span);
+      }
+      tr.append(flags);
+      body.append(tr);
+    }
+    document.getElementById("count").textContent = shown + " of " + plan.bookmarks.length + " shown";
+  }
+  document.getElementById("filter").addEventListener("input", render);
+  document.getElementById("show").addEventListener("change", render);
+  render();
+</script>
+</body>
+</html>
+`;
+}
+
+// Writes <base>.json and <base>.html next to each other; any .json/.html extension on reportPath is dropped.
+async function writeMovePlanReport(reportPath, plan) {
+  const resolved = path.resolve(reportPath);
+  const basePath = /\.(json|html?)$/i.test(resolved) ? resolved.replace(/\.(json|html?)$/i, "") : resolved;
+  await ensureDir(path.dirname(basePath));
+  const jsonPath = `${basePath}.json`;
+  const htmlPath = `${basePath}.html`;
+  await fs.writeFile(jsonPath, JSON.stringify(plan, null, 2), "utf8");
+  await fs.writeFile(htmlPath, buildMovePlanHtml(plan), "utf8");
+  return { jsonPath, htmlPath };
+}
+
+function summarizeBorderlineScores(placements, classifier) {
+  const borderline = placements.filter((placement) => isBorderlineScore(placement.scoring, classifier));
+  if (!borderline.length) {
+    return;
+  }
+  console.log(`\nBorderline scores (${borderline.length}):`);
+  for (const { bookmark, path: folderPath, scoring } of borderline) {
+    const { winner, runnerUp, belowThreshold } = scoring;
+    console.log(`  ${bookmark.name || "(untitled)"} <${bookmark.url}>`);
+    console.log(
+      belowThreshold
+        ? `      ${pathToKey(folderPath)}  (best ${pathToKey(winner.path)} scored ${winner.score}, below minScore ${classifier.minScore})`
+        : `      ${pathToKey(folderPath)}  score ${winner.score}`
+    );
+    if (runnerUp) {
+      console.log(`      runner-up: ${pathToKey(runnerUp.path)}  score ${runnerUp.score}`);
+    }
+  }
+}
+
+function describeEvaluation(evaluation) {
+  if (evaluation.vetoedBy) {
+    return `${evaluation.vetoedBy.key} vetoed on "${evaluation.vetoedBy.hit}"`;
+  }
+  if (!evaluation.checks.length) {
+    return "no positive checks";
+  }
+  const checks = evaluation.checks
+    .map((check) => (check.passed ? `${check.key}=pass("${check.hit}")` : `${check.key}=fail`))
+    .join(" ");
+  return `mode ${evaluation.mode}: ${checks}`;
+}
+
+function printExplanation(entry, categories, defaultPath, duplicateOf, classifier = null, archiveOptions = null) {
+  const node = entry.bookmark;
+  console.log(`\n${node.name || "(untitled)"} <${node.url}>`);
+  console.log(`  Source: ${describeEntryLocation(entry)}`);
+  if (duplicateOf) {
+    console.log(`  Dropped as a duplicate of: ${duplicateOf.bookmark.name || "(untitled)"} <${duplicateOf.bookmark.url}>`);
+    console.log("  (trace below is what it would get on its own)");
+  }
+
+  const trace = [];
+  const { path: result, scoring } = classifyBookmarkDetailed(entry, categories, defaultPath, trace, classifier);
+  for (const step of trace) {
+    const label = !step.hasMatch
+      ? "[--]   "
+      : step.evaluation.matched
+        ? "[MATCH]"
+        : step.evaluation.vetoedBy
+          ? "[VETO] "
+          : "[no]   ";
+    const detail = step.hasMatch ? describeEvaluation(step.evaluation) : "no match rules";
+    const score = step.score ? `  score ${step.score}` : "";
+    console.log(`  ${label} ${pathToKey(step.path)}  -- ${detail}${score}`);
+  }
+
+  const archivePath = archivePathFor(node, archiveOptions);
+  if (archivePath) {
+    console.log(
+      `  Result: ${pathToKey(archivePath)} (unused for ${archiveOptions.unusedForDays}+ days; archive comes before the categories)`
+    );
+    return;
+  }
+
+  if (scoring) {
+    const runnerUp = scoring.runnerUp
+      ? `; runner-up ${pathToKey(scoring.runnerUp.path)} (score ${scoring.runnerUp.score})`
+      : "";
+    if (scoring.belowThreshold) {
+      console.log(`  Result: ${pathToKey(result)} (best score ${scoring.winner.score} is below minScore ${classifier.minScore}${runnerUp})`);
+    } else if (scoring.winner) {
+      console.log(`  Result: ${pathToKey(result)} (highest score ${scoring.winner.score}${runnerUp})`);
+    } else {
+      console.log(`  Result: ${pathToKey(result)} (no category matched, fell through to defaultPath)`);
+    }
+    return;
+  }
+
+  const matchedStep = trace.find((step) => step.evaluation.matched);
+  if (matchedStep) {
+    console.log(`  Result: ${pathToKey(result)} (first match, depth-first)`);
+  } else {
+    console.log(`  Result: ${pathToKey(result)} (no category matched, fell through to defaultPath)`);
+  }
+}
+
+function explainBookmarks(query, entries, duplicates, categories, defaultPath, classifier = null, archiveOptions = null) {
+  const needle = normalize(query);
+  const duplicateOf = new Map(duplicates.map(({ entry, survivor }) => [entry, survivor]));
+  const matches = entries.filter((entry) => (
+    normalize(entry.bookmark?.url).includes(needle) || normalize(entry.bookmark?.name).includes(needle)
+  ));
+
+  console.log(`Explain: ${matches.length} bookmark(s) matching "${query}"`);
+  for (const entry of matches) {
+    printExplanation(entry, categories, defaultPath, duplicateOf.get(entry), classifier, archiveOptions);
+  }
+}
+
+const REPORTED_MATCH_KEYS = [
+  "keywords",
+  "nameContains",
+  "urlContains",
+  "urls",
+  "domains",
+  "regex",
+  "pathContains",
+  "pathRegex",
+  "roots",
+  ...Object.keys(URL_MATCH_CHECKS)
+];
+
+// Flattens the category tree in the same order classifyWithNode evaluates it (children before parent).
+function flattenCategoryNodes(categories, pathPrefix = [], jsonPrefix = "categories", output = []) {
+  safeArray(categories).forEach((node, index) => {
+    const nodePath = [...pathPrefix, node.name];
+    const jsonPath = `${jsonPrefix}[${index}]`;
+    flattenCategoryNodes(node.children, nodePath, `${jsonPath}.children`, output);
+    output.push({ node, path: nodePath, jsonPath });
+  });
+  return output;
+}
+
+function describeRuleNode(ruleNode) {
+  return `${pathToKey(ruleNode.path)}  (${ruleNode.jsonPath})`;
+}
+
+// The rule nodes that match a bookmark, winner first, using the same ordering the classifier would.
+function rankMatchingRuleNodes(ruleNodes, entry, classifier = null) {
+  const matched = ruleNodes.filter((ruleNode) => matchSpec(ruleNode.node.match, entry));
+  if (classifier?.mode !== "score") {
+    return matched;
+  }
+  return matched
+    .map((ruleNode, order) => ({
+      ruleNode,
+      order,
+      depth: ruleNode.path.length,
+      score: scoreEvaluation(ruleNode.node.match, evaluateMatchSpec(ruleNode.node.match, entry))
+    }))
+    .sort(compareScoredCandidates)
+    .map((candidate) => candidate.ruleNode);
+}
+
+function buildRuleReport(entries, categories, classifier = null) {
+  const ruleNodes = flattenCategoryNodes(categories).filter((ruleNode) => ruleNode.node.match);
+  const stats = new Map(ruleNodes.map((ruleNode) => [ruleNode, { matched: 0, won: 0, tokenHits: new Set() }]));
+  const overlaps = [];
+
+  for (const entry of entries) {
+    const matched = rankMatchingRuleNodes(ruleNodes, entry, classifier);
+    matched.forEach((ruleNode, index) => {
+      const stat = stats.get(ruleNode);
+      stat.matched += 1;
+      if (index === 0) {
+        stat.won += 1;
+      }
+      for (const key of REPORTED_MATCH_KEYS) {
+        for (const token of safeArray(ruleNode.node.match[key])) {
+          if (evaluateMatchSpec({ [key]: [token] }, entry).matched) {
+            stat.tokenHits.add(`${key}\u0000${token}`);
+          }
+        }
+      }
+    });
+    if (matched.length > 1) {
+      overlaps.push({ entry, winner: matched[0], others: matched.slice(1) });
+    }
+  }
+
+  return { ruleNodes, stats, overlaps };
+}
+
+function printRuleReport(report, total) {
+  const { ruleNodes, stats, overlaps } = report;
+  console.log(`Rule report: ${total} bookmarks against ${ruleNodes.length} category rules.`);
+
+  const unmatched = ruleNodes.filter((ruleNode) => !stats.get(ruleNode).matched);
+  console.log(`\nCategories that matched nothing (${unmatched.length}):`);
+  for (const ruleNode of unmatched) {
+    console.log(`  ${describeRuleNode(ruleNode)}`);
+  }
+
+  const neverWon = ruleNodes.filter((ruleNode) => stats.get(ruleNode).matched && !stats.get(ruleNode).won);
+  console.log(`\nCategories that matched but never won because another rule took the bookmark (${neverWon.length}):`);
+  for (const ruleNode of neverWon) {
+    console.log(`  ${describeRuleNode(ruleNode)}  matched ${stats.get(ruleNode).matched}`);
+  }
+
+  const pairCounts = new Map();
+  for (const overlap of overlaps) {
+    for (const other of overlap.others) {
+      const key = `${describeRuleNode(overlap.winner)}\n      shadows ${describeRuleNode(other)}`;
+      pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+    }
+  }
+  console.log(`\nOverlapping rules (${pairCounts.size} pairs, ${overlaps.length} bookmarks):`);
+  for (const [pair, count] of [...pairCounts.entries()].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${count.toString().padStart(4, " ")}  ${pair}`);
+  }
+
+  console.log("\nBookmarks matched by more than one category:");
+  for (const { entry, winner, others } of overlaps) {
+    console.log(`  ${entry.bookmark.name || "(untitled)"} <${entry.bookmark.url}>`);
+    console.log(`      won by:       ${pathToKey(winner.path)}`);
+    for (const other of others) {
+      console.log(`      also matched: ${pathToKey(other.path)}`);
+    }
+  }
+
+  console.log("\nMatch values that never contributed to a match:");
+  let deadCount = 0;
+  for (const ruleNode of ruleNodes) {
+    const stat = stats.get(ruleNode);
+    if (!stat.matched) {
+      continue;
+    }
+    const dead = [];
+    for (const key of REPORTED_MATCH_KEYS) {
+      const unused = safeArray(ruleNode.node.match[key]).filter((token) => !stat.tokenHits.has(`${key}\u0000${token}`));
+      if (unused.length) {
+        dead.push(`${key}: ${unused.map((token) => JSON.stringify(token)).join(", ")}`);
+        deadCount += unused.length;
+      }
+    }
+    if (dead.length) {
+      console.log(`  ${describeRuleNode(ruleNode)}`);
+      for (const line of dead) {
+        console.log(`      ${line}`);
+      }
+    }
+  }
+  if (!deadCount) {
+    console.log("  (none)");
+  }
+}
+
+const SUGGEST_MIN_CLUSTER = 2;
+const SUGGEST_MAX_EXAMPLES = 3;
+const SUGGEST_STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "your", "you", "how", "what", "why", "are", "this", "that", "not", "but",
+  "all", "new", "can", "use", "using", "get", "into", "about", "our", "its", "www", "com", "org", "net",
+  "http", "https", "html", "home", "page", "index", "welcome", "official", "site", "online", "free", "best"
+]);
+
+function entryDomain(entry) {
+  return registrableDomainFromHost(hostFromUrl(entry.bookmark?.url).replace(/^www\./, ""));
+}
+
+function titleTokens(name) {
+  return [...new Set(normalize(name).split(/[^\p{L}\p{N}]+/u))]
+    .filter((token) => token.length >= 3 && !/^\d+$/.test(token) && !SUGGEST_STOPWORDS.has(token));
+}
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+// Where already-sorted bookmarks sharing a trait ended up: trait -> Map(ruleNode -> count).
+function countRuleHomes(homes, trait, ruleNode) {
+  if (!homes.has(trait)) {
+    homes.set(trait, new Map());
+  }
+  const counts = homes.get(trait);
+  counts.set(ruleNode, (counts.get(ruleNode) || 0) + 1);
+}
+
+function rankedHomes(homes, trait) {
+  return [...(homes.get(trait) || new Map()).entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([ruleNode]) => ruleNode);
+}
+
+// Clusters defaultPath bookmarks by site and by frequent title words. Each cluster is offered to an existing
+// category first (one already listing the domain, or where similar bookmarks were sorted) and only becomes a
+// new category when adding the value there would not actually make those bookmarks match.
+function buildRuleSuggestions(entries, categories, defaultPath, classifier = null, archiveOptions = null) {
+  const ruleNodes = flattenCategoryNodes(categories).filter((ruleNode) => ruleNode.node.match);
+  const defaultKey = pathToKey(defaultPath);
+  const unsorted = [];
+  const domainHomes = new Map();
+  const tokenHomes = new Map();
+
+  for (const entry of entries) {
+    // Archived bookmarks never reach the categories, so they need no rules.
+    if (archivePathFor(entry.bookmark, archiveOptions)) {
+      continue;
+    }
+    const { path: folderPath } = classifyBookmarkDetailed(entry, categories, defaultPath, null, classifier);
+    if (pathToKey(folderPath) === defaultKey) {
+      unsorted.push(entry);
+      continue;
+    }
+    const [winner] = rankMatchingRuleNodes(ruleNodes, entry, classifier);
+    if (!winner) {
+      continue;
+    }
+    countRuleHomes(domainHomes, entryDomain(entry), winner);
+    for (const token of titleTokens(entry.bookmark?.name)) {
+      countRuleHomes(tokenHomes, token, winner);
+    }
+  }
+
+  const updates = new Map();
+  const created = [];
+  const remaining = new Set(unsorted);
+
+  const offer = (key, value, cluster, candidates, newName) => {
+    for (const ruleNode of candidates) {
+      const update = updates.get(ruleNode) || { ruleNode, domains: [], keywords: [], rescued: [] };
+      const spec = { ...ruleNode.node.match };
+      spec.domains = [...safeArray(spec.domains), ...update.domains];
+      spec.keywords = [...safeArray(spec.keywords), ...update.keywords];
+      spec[key] = [...spec[key], value];
+      const rescued = cluster.filter((entry) => matchSpec(spec, entry));
+      if (rescued.length >= SUGGEST_MIN_CLUSTER) {
+        update[key].push(value);
+        update.rescued.push(...rescued);
+        updates.set(ruleNode, update);
+        rescued.forEach((entry) => remaining.delete(entry));
+        return;
+      }
+    }
+    created.push({ name: newName, match: { [key]: [value] }, rescued: cluster });
+    cluster.forEach((entry) => remaining.delete(entry));
+  };
+
+  const byDomain = new Map();
+  for (const entry of unsorted) {
+    const domain = entryDomain(entry);
+    if (domain) {
+      byDomain.set(domain, [...(byDomain.get(domain) || []), entry]);
+    }
+  }
+  for (const [domain, cluster] of [...byDomain.entries()].sort((a, b) => b[1].length - a[1].length)) {
+    if (cluster.length < SUGGEST_MIN_CLUSTER) {
+      continue;
+    }
+    const listing = ruleNodes.filter((ruleNode) => (
+      safeArray(ruleNode.node.match.domains).some((listed) => registrableDomainFromHost(normalize(listed)) === domain)
+    ));
+    const candidates = [...new Set([...listing, ...rankedHomes(domainHomes, domain)])];
+    offer("domains", domain, cluster, candidates, capitalize(domain));
+  }
+
+  // Title words only for what the domain pass left over, most frequent first, each bookmark rescued once.
+  for (;;) {
+    const byToken = new Map();
+    for (const entry of remaining) {
+      for (const token of titleTokens(entry.bookmark?.name)) {
+        byToken.set(token, [...(byToken.get(token) || []), entry]);
+      }
+    }
+    const [best] = [...byToken.entries()]
+      .filter(([, cluster]) => cluster.length >= SUGGEST_MIN_CLUSTER)
+      .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+    if (!best) {
+      break;
+    }
+    const [token, cluster] = best;
+    const named = ruleNodes.filter((ruleNode) => {
+      const name = normalize(ruleNode.node.name);
+      return name === token || name === `${token}s` || `${name}s` === token;
+    });
+    offer("keywords", token, cluster, [...new Set([...named, ...rankedHomes(tokenHomes, token)])], capitalize(token));
+  }
+
+  return { unsorted, updates: [...updates.values()], created, remaining: [...remaining] };
+}
+
+function describeSuggestionExamples(entries) {
+  const examples = entries.slice(0, SUGGEST_MAX_EXAMPLES).map((entry) => `${entry.bookmark.name || "(untitled)"} <${entry.bookmark.url}>`);
+  if (entries.length > SUGGEST_MAX_EXAMPLES) {
+    examples.push(`... and ${entries.length - SUGGEST_MAX_EXAMPLES} more`);
+  }
+  return examples;
+}
+
+function printRuleSuggestions(suggestions, total, defaultPath) {
+  const { unsorted, updates, created, remaining } = suggestions;
+  console.log(`Rule suggestions: ${unsorted.length} of ${total} bookmarks land in ${pathToKey(defaultPath)}.`);
+
+  console.log(`\nAdd to existing categories (${updates.length}):`);
+  for (const { ruleNode, domains, keywords, rescued } of updates.sort((a, b) => b.rescued.length - a.rescued.length)) {
+    const match = { ...ruleNode.node.match };
+    if (domains.length) {
+      match.domains = [...safeArray(match.domains), ...domains];
+    }
+    if (keywords.length) {
+      match.keywords = [...safeArray(match.keywords), ...keywords];
+    }
+    console.log(`  rescues ${rescued.length}: ${describeRuleNode(ruleNode)}`);
+    console.log(`      "match": ${JSON.stringify(match)}`);
+    describeSuggestionExamples(rescued).forEach((line) => console.log(`        ${line}`));
+  }
+
+  console.log(`\nNew categories (${created.length}):`);
+  for (const { name, match, rescued } of created.sort((a, b) => b.rescued.length - a.rescued.length)) {
+    console.log(`  rescues ${rescued.length}:`);
+    console.log(`      ${JSON.stringify({ name, match })}`);
+    describeSuggestionExamples(rescued).forEach((line) => console.log(`        ${line}`));
+  }
+
+  console.log(`\nStill unmatched after these suggestions: ${remaining.length}`);
+}
+
+const REVIEW_PICK_LIMIT = 10;
+const REVIEW_SESSION_VERSION = 1;
+const JSON_STRING_TOKEN = /"(?:[^"\\]|\\.)*"/y;
+const JSON_LITERAL_TOKEN = /-?\d[\d.eE+-]*|true|false|null/y;
+
+// Parses JSON text into value spans ({type, start, end} plus entries/items) so edits can be spliced into the
+// original text instead of re-serializing the whole file.
+function parseJsonSpans(text) {
+  let pos = 0;
+  const fail = () => {
+    throw new Error(`Unexpected JSON at offset ${pos}.`);
+  };
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos += 1;
+    }
+  };
+  const readToken = (pattern) => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) {
+      fail();
+    }
+    pos += match[0].length;
+    return match[0];
+  };
+  const expect = (char) => {
+    skipSpace();
+    if (text[pos] !== char) {
+      fail();
+    }
+    pos += 1;
+  };
+  const readValue = () => {
+    skipSpace();
+    const start = pos;
+    if (text[pos] !== "{" && text[pos] !== "[") {
+      readToken(text[pos] === "\"" ? JSON_STRING_TOKEN : JSON_LITERAL_TOKEN);
+      return { type: "scalar", start, end: pos };
+    }
+    const isObject = text[pos] === "{";
+    const close = isObject ? "}" : "]";
+    const members = [];
+    pos += 1;
+    skipSpace();
+    if (text[pos] === close) {
+      pos += 1;
+    } else {
+      for (;;) {
+        if (isObject) {
+          skipSpace();
+          const keyStart = pos;
+          const key = JSON.parse(readToken(JSON_STRING_TOKEN));
+          expect(":");
+          members.push({ key, keyStart, node: readValue() });
+        } else {
+          members.push(readValue());
+        }
+        skipSpace();
+        if (text[pos] !== ",") {
+          break;
+        }
+        pos += 1;
+      }
+      expect(close);
+    }
+    return isObject
+      ? { type: "object", start, end: pos, entries: members }
+      : { type: "array", start, end: pos, items: members };
+  };
+  return readValue();
+}
+
+function lineIndentAt(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+function formatInlineJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInlineJson).join(", ")}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatInlineJson(item)}`).join(", ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+// Adds a member at the end of an object or array span, copying the layout of the members already there:
+// one per line with their indentation, or inline when the container is written on one line.
+function insertJsonMember(text, container, key, value) {
+  const members = container.type === "object" ? container.entries : container.items;
+  if (!members.length) {
+    const member = key === null ? formatInlineJson(value) : `${JSON.stringify(key)}: ${formatInlineJson(value)}`;
+    const inserted = container.type === "object" ? `{ ${member} }` : `[${member}]`;
+    return { offset: container.start, removed: text.slice(container.start, container.end), inserted };
+  }
+
+  const memberStart = (member) => (container.type === "object" ? member.keyStart : member.start);
+  const last = members[members.length - 1];
+  const lastEnd = container.type === "object" ? last.node.end : last.end;
+  const expanded = text.slice(container.start, memberStart(members[0])).includes("\n");
+  let formatted = formatInlineJson(value);
+  let separator = ", ";
+  if (expanded) {
+    const eol = text.includes("\r\n") ? "\r\n" : "\n";
+    const memberIndent = lineIndentAt(text, memberStart(members[0]));
+    const indentUnit = memberIndent.slice(lineIndentAt(text, container.start).length) || "  ";
+    formatted = JSON.stringify(value, null, indentUnit).split("\n").join(`${eol}${memberIndent}`);
+    separator = `,${eol}${memberIndent}`;
+  }
+  const member = key === null ? formatted : `${JSON.stringify(key)}: ${formatted}`;
+  return { offset: lastEnd, removed: "", inserted: `${separator}${member}` };
+}
+
+// Appends `value` to the list at `keys` (object keys and array indexes), creating the missing objects and list.
+function appendJsonValue(text, keys, value) {
+  let node = parseJsonSpans(text);
+  let depth = 0;
+  for (; depth < keys.length; depth += 1) {
+    const key = keys[depth];
+    const next = node.type === "array"
+      ? node.items[key]
+      : node.type === "object" ? node.entries.find((entry) => entry.key === key)?.node : undefined;
+    if (!next) {
+      break;
+    }
+    node = next;
+  }
+  if (depth === keys.length) {
+    if (node.type !== "array") {
+      throw new Error(`${keys.join(".")} is not a list.`);
+    }
+    return insertJsonMember(text, node, null, value);
+  }
+  if (node.type !== "object") {
+    throw new Error(`${keys.slice(0, depth).join(".")} is not an object.`);
+  }
+  let built = [value];
+  for (let index = keys.length - 1; index > depth; index -= 1) {
+    built = { [keys[index]]: built };
+  }
+  return insertJsonMember(text, node, keys[depth], built);
+}
+
+function applyTextEdit(text, edit) {
+  return text.slice(0, edit.offset) + edit.inserted + text.slice(edit.offset + edit.removed.length);
+}
+
+// Returns null when the text around the edit no longer matches, e.g. after the file was changed by hand.
+function revertTextEdit(text, edit) {
+  if (text.slice(edit.offset, edit.offset + edit.inserted.length) !== edit.inserted) {
+    return null;
+  }
+  return text.slice(0, edit.offset) + edit.removed + text.slice(edit.offset + edit.inserted.length);
+}
+
+// Appends one value to a category's match list in the config file, keeping the file's formatting. `jsonKeys` locates
+// a category defined in this file; others (from "extends" or "include") get a "patch" entry in this file instead.
+async function addMatchValueToConfig(configPath, categoryPath, key, value, jsonKeys = null) {
+  const text = await fs.readFile(configPath, "utf8");
+  const raw = parseJsonWithOptionalBom(text);
+  const node = jsonKeys ? jsonKeys.reduce((parent, jsonKey) => parent?.[jsonKey], raw) : null;
+  if (jsonKeys && normalize(node?.name) !== normalize(categoryPath[categoryPath.length - 1])) {
+    throw new Error(`${configPath} changed since it was loaded; run --review again.`);
+  }
+  if (node && safeArray(node.match?.[key]).map(normalize).includes(normalize(value))) {
+    throw new Error(`${pathToKey(categoryPath)} already has ${key} "${value}".`);
+  }
+  if (!node && !isPlainObject(raw)) {
+    throw new Error(`${pathToKey(categoryPath)} is not defined in ${configPath}.`);
+  }
+
+  const edit = node
+    ? appendJsonValue(text, [...jsonKeys, "match", key], value)
+    : appendJsonValue(text, ["patch"], { path: pathToKey(categoryPath), add: { [key]: [value] } });
+  await writeFileAtomic(configPath, applyTextEdit(text, edit));
+  return { edit, viaPatch: !node };
+}
+
+// Category paths in tree order (parent before its children), for the review pick list.
+function listCategoryPaths(categories, pathPrefix = [], output = []) {
+  for (const node of safeArray(categories)) {
+    const nodePath = [...pathPrefix, String(node?.name || "")];
+    output.push({ path: nodePath, node, source: categorySources.get(node) || null });
+    listCategoryPaths(node?.children, nodePath, output);
+  }
+  return output;
+}
+
+// Every query character must appear in order; consecutive characters and word starts score higher.
+function fuzzyScore(text, query) {
+  const haystack = normalize(text);
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const char of normalize(query).replace(/\s+/g, "")) {
+    const index = haystack.indexOf(char, from);
+    if (index < 0) {
+      return null;
+    }
+    run = index === from && from > 0 ? run + 1 : 1;
+    score += run + (index === 0 || /[\s>]/.test(haystack[index - 1]) ? 2 : 0);
+    from = index + 1;
+  }
+  return score - haystack.length / 1000;
+}
+
+function rankCategoryPaths(categoryPaths, query) {
+  if (!query) {
+    return categoryPaths;
+  }
+  return categoryPaths
+    .map((item, order) => ({ item, order, score: fuzzyScore(pathToKey(item.path), query) }))
+    .filter((ranked) => ranked.score !== null)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map((ranked) => ranked.item);
+}
+
+// A dynamic ("{host}") segment matches whatever folder name it rendered to.
+function isPathInCategory(folderPath, categoryPath) {
+  return folderPath.length === categoryPath.length &&
+    categoryPath.every((segment, index) => isFolderTemplate(segment) || normalize(segment) === normalize(folderPath[index]));
+}
+
+function reviewEntryId(entry) {
+  return entry.bookmark.guid || entry.bookmark.url;
+}
+
+function reviewSessionPath(configPath) {
+  return path.join(path.dirname(configPath), `${path.basename(configPath, path.extname(configPath))}.review-session.json`);
+}
+
+async function loadReviewSession(sessionPath, configPath, bookmarksPath) {
+  const fresh = { version: REVIEW_SESSION_VERSION, configPath, bookmarksPath, decisions: [] };
+  if (!(await pathExists(sessionPath))) {
+    return fresh;
+  }
+  const session = parseJsonWithOptionalBom(await fs.readFile(sessionPath, "utf8"));
+  if (session?.version !== REVIEW_SESSION_VERSION || session.configPath !== configPath || session.bookmarksPath !== bookmarksPath) {
+    console.log(`Ignoring ${sessionPath}: it belongs to a different config or bookmarks file.`);
+    return fresh;
+  }
+  console.log(`Resuming review session (${session.decisions.length} decision(s) so far).`);
+  return { ...fresh, decisions: safeArray(session.decisions) };
+}
+
+// Reads answers line by line; resolves null once input ends or Ctrl+C is pressed, which ends the review.
+function createLinePrompter(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY && output.isTTY) });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+  rl.on("line", (line) => (waiting.length ? waiting.shift()(line) : lines.push(line)));
+  rl.on("SIGINT", () => rl.close());
+  rl.on("close", () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  });
+  return {
+    ask(question) {
+      rl.setPrompt(question);
+      rl.prompt();
+      if (lines.length) {
+        return Promise.resolve(lines.shift());
+      }
+      return closed ? Promise.resolve(null) : new Promise((resolve) => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+function printCategoryChoices(choices) {
+  if (!choices.length) {
+    console.log("  No category matches that search.");
+    return;
+  }
+  choices.slice(0, REVIEW_PICK_LIMIT).forEach((choice, index) => {
+    console.log(`  ${String(index + 1).padStart(2, " ")}) ${pathToKey(choice.path)}`);
+  });
+  if (choices.length > REVIEW_PICK_LIMIT) {
+    console.log(`      ... ${choices.length - REVIEW_PICK_LIMIT} more; type to narrow the list`);
+  }
+}
+
+// Asks how to teach the chosen category about this bookmark. Returns {key, value}, or null to go back.
+async function askReviewRule(prompter, entry, categoryPath) {
+  const host = hostFromUrl(entry.bookmark.url).replace(/^www\./, "");
+  const suggestedKeyword = titleTokens(entry.bookmark.name)[0] || "";
+  const options = [
+    host ? `d = domain ${host}` : null,
+    "k = keyword",
+    "u = this bookmark only",
+    "b = back"
+  ].filter(Boolean);
+  for (;;) {
+    const answer = await prompter.ask(`Add to ${pathToKey(categoryPath)} (${options.join(", ")}): `);
+    const choice = normalize(answer).trim();
+    if (answer === null || choice === "b") {
+      return null;
+    }
+    if (choice === "d" && host) {
+      return { key: "domains", value: host };
+    }
+    if (choice === "u") {
+      return { key: "urls", value: entry.bookmark.url.trim() };
+    }
+    if (choice === "k") {
+      const keyword = await prompter.ask(`Keyword${suggestedKeyword ? ` [${suggestedKeyword}]` : ""}: `);
+      const value = keyword === null ? "" : keyword.trim() || suggestedKeyword;
+      if (value) {
+        return { key: "keywords", value };
+      }
+    }
+  }
+}
+
+async function undoReviewDecision(session, configPath) {
+  const decision = session.decisions.pop();
+  if (!decision) {
+    console.log("Nothing to undo.");
+    return null;
+  }
+  if (decision.edit) {
+    const reverted = revertTextEdit(await fs.readFile(configPath, "utf8"), decision.edit);
+    if (reverted === null) {
+      console.log(`The config changed since; remove ${decision.key} "${decision.value}" from ${decision.category} by hand.`);
+    } else {
+      await writeFileAtomic(configPath, reverted);
+      console.log(`Undid: ${decision.key} "${decision.value}" removed from ${decision.category}.`);
+    }
+  } else {
+    console.log(`Undid: skip of ${decision.title || decision.url}.`);
+  }
+  return decision.id;
+}
+
+// Interactive triage of the bookmarks that land in defaultPath: each pick becomes a match rule in the config file.
+// Progress is kept in a session file next to the config, so running --review again picks up where it stopped.
+async function reviewUnsortedBookmarks(entries, options, prompter) {
+  const { configPath, bookmarksPath, destinationRoot } = options;
+  const sessionPath = reviewSessionPath(configPath);
+  const session = await loadReviewSession(sessionPath, configPath, bookmarksPath);
+  const saveSession = () => writeFileAtomic(sessionPath, JSON.stringify(session, null, 2));
+
+  let settings;
+  let categoryPaths;
+  let pending;
+  let focusId = null;
+  const landingPath = (entry) => classifyBookmarkDetailed(entry, settings.categories, settings.defaultPath, null, settings.classifier).path;
+  const refresh = async () => {
+    settings = resolveSortSettings(await loadConfig(configPath), { destinationRoot });
+    categoryPaths = listCategoryPaths(settings.categories);
+    const decided = new Set(session.decisions.map((decision) => decision.id));
+    const defaultKey = pathToKey(settings.defaultPath);
+    pending = entries.filter((entry) => !decided.has(reviewEntryId(entry)) &&
+      !archivePathFor(entry.bookmark, settings.archiveOptions) &&
+      pathToKey(landingPath(entry)) === defaultKey);
+    const focused = pending.findIndex((entry) => reviewEntryId(entry) === focusId);
+    if (focused > 0) {
+      pending.unshift(...pending.splice(focused, 1));
+    }
+  };
+  await refresh();
+  console.log(`Review: ${pending.length} bookmark(s) land in ${pathToKey(settings.defaultPath)}.`);
+  console.log("Type part of a category to search, its number to pick it; s = skip, u = undo, q = quit.");
+
+  let reviewed = 0;
+  while (pending.length) {
+    const entry = pending[0];
+    const id = reviewEntryId(entry);
+    console.log(`\n[${reviewed + 1}/${reviewed + pending.length}] ${entry.bookmark.name || "(untitled)"}`);
+    console.log(`  URL:    ${entry.bookmark.url}`);
+    console.log(`  Source: ${describeEntryLocation(entry)}`);
+
+    let choices = categoryPaths;
+    let next = null;
+    while (!next) {
+      const answer = await prompter.ask("> ");
+      const text = answer === null ? "q" : answer.trim();
+      const command = normalize(text);
+      if (command === "q") {
+        next = "quit";
+      } else if (command === "s") {
+        session.decisions.push({ id, action: "skip", title: entry.bookmark.name, url: entry.bookmark.url });
+        await saveSession();
+        next = "advance";
+      } else if (command === "u") {
+        focusId = await undoReviewDecision(session, configPath);
+        if (focusId) {
+          await saveSession();
+          reviewed = Math.max(0, reviewed - 1);
+          next = "refresh";
+        }
+      } else if (/^\d+$/.test(command)) {
+        const choice = choices.slice(0, REVIEW_PICK_LIMIT)[Number(command) - 1];
+        if (!choice) {
+          console.log("  No such number in the list.");
+          continue;
+        }
+        const jsonKeys = choice.source?.file === configPath ? choice.source.keys : null;
+        // A patch entry edits every category at that path, so each of them must accept another rule.
+        const targets = jsonKeys
+          ? [choice]
+          : categoryPaths.filter((candidate) => normalize(pathToKey(candidate.path)) === normalize(pathToKey(choice.path)));
+        if (targets.some((target) => target.node?.match?.mode === "all")) {
+          console.log(`  ${pathToKey(choice.path)} uses match mode "all"; another rule would narrow it. Edit it by hand.`);
+          continue;
+        }
+        const rule = await askReviewRule(prompter, entry, choice.path);
+        if (!rule) {
+          continue;
+        }
+        const pendingBefore = pending.length;
+        let added;
+        try {
+          added = await addMatchValueToConfig(configPath, choice.path, rule.key, rule.value, jsonKeys);
+        } catch (err) {
+          console.log(`  ${err.message}`);
+          continue;
+        }
+        await refresh();
+        const landed = landingPath(entry);
+        if (!isPathInCategory(landed, choice.path)) {
+          const reverted = revertTextEdit(await fs.readFile(configPath, "utf8"), added.edit);
+          if (reverted === null) {
+            console.log(`  The config changed meanwhile; remove ${rule.key} "${rule.value}" from ${pathToKey(choice.path)} by hand.`);
+          } else {
+            await writeFileAtomic(configPath, reverted);
+          }
+          await refresh();
+          console.log(`  Not added: with that rule the bookmark would go to ${pathToKey(landed)}. Try --explain on it.`);
+          continue;
+        }
+        const category = pathToKey(choice.path);
+        session.decisions.push({ id, action: "rule", title: entry.bookmark.name, url: entry.bookmark.url, category, ...rule, edit: added.edit });
+        await saveSession();
+        console.log(`  Added ${rule.key} "${rule.value}" to ${category}${added.viaPatch ? " (as a patch entry)" : ""}.`);
+        const alsoMatched = pendingBefore - 1 - pending.length;
+        if (alsoMatched > 0) {
+          console.log(`  ${alsoMatched} other bookmark(s) waiting for review now match it too.`);
+        }
+        next = "moved";
+      } else {
+        choices = rankCategoryPaths(categoryPaths, text);
+        printCategoryChoices(choices);
+      }
+    }
+
+    if (next === "quit") {
+      console.log(`\nStopped. ${pending.length} bookmark(s) left; run --review again to continue (${sessionPath}).`);
+      return;
+    }
+    if (next === "advance" || next === "moved") {
+      reviewed += 1;
+    }
+    await refresh();
+  }
+
+  await fs.rm(sessionPath, { force: true });
+  const rules = session.decisions.filter((decision) => decision.action === "rule").length;
+  console.log(`\nReview complete: ${rules} rule(s) added to ${configPath}, ${session.decisions.length - rules} skipped.`);
+  console.log("Run --dry-run to see where the bookmarks go now.");
+}
+
+const RENAME_KEYS = ["preview", "rules"];
+const RENAME_RULE_KEYS = ["pattern", "replace", "flags", "domains", "categories"];
+
+function resolveRenameOptions(rename) {
+  const spec = rename && typeof rename === "object" ? rename : {};
+  const rules = [];
+  for (const rule of safeArray(spec.rules)) {
+    let re;
+    try {
+      re = new RegExp(rule.pattern, rule.flags ?? "gi");
+    } catch {
+      continue;
+    }
+    rules.push({
+      re,
+      replace: String(rule.replace ?? ""),
+      domains: safeArray(rule.domains).map(normalize).filter(Boolean),
+      categories: safeArray(rule.categories).map((categoryPath) => splitCategoryPath(categoryPath).map(normalize))
+    });
+  }
+  return { preview: spec.preview === true, rules };
+}
+
+function renameRuleApplies(rule, host, folderPath) {
+  if (rule.domains.length && !rule.domains.some((domain) => hostMatchesDomain(host, domain))) {
+    return false;
+  }
+  const segments = folderPath.map(normalize);
+  return !rule.categories.length || rule.categories.some((prefix) => (
+    prefix.length <= segments.length && prefix.every((segment, index) => segments[index] === segment)
+  ));
+}
+
+// Runs the rules in order, each on the output of the previous one. A rewrite that empties the title is ignored.
+function renameBookmarkTitle(bookmark, folderPath, renameOptions) {
+  const host = hostFromUrl(bookmark.url);
+  let title = String(bookmark.name || "");
+  for (const rule of renameOptions.rules) {
+    if (renameRuleApplies(rule, host, folderPath)) {
+      rule.re.lastIndex = 0;
+      title = title.replace(rule.re, rule.replace).replace(/\s{2,}/g, " ").trim();
+    }
+  }
+  return title || String(bookmark.name || "");
+}
+
+// Clones a bookmark for the new tree. With rename options, the title rewrite for its target folder is recorded in
+// context.renames and, unless previewing, applied to the clone.
+function sanitizeBookmark(bookmark, context = {}) {
+  const clone = { ...bookmark };
+  if (!clone.type) clone.type = "url";
+  if (!clone.guid && clone.type === "url") {
+    clone.guid = crypto.randomUUID();
+  }
+  if (!clone.date_last_used) {
+    clone.date_last_used = "0";
+  }
+  const { renameOptions, folderPath = [], renames } = context;
+  if (renameOptions?.rules.length) {
+    const title = renameBookmarkTitle(clone, folderPath, renameOptions);
+    if (title !== String(clone.name || "")) {
+      renames?.push({ from: clone.name || "", to: title, url: clone.url, path: folderPath });
+      if (!renameOptions.preview) {
+        clone.name = title;
+      }
+    }
+  }
+  return clone;
+}
+
+// Dry runs list every rewrite; --apply only reports how many titles changed.
+function summarizeRenames(renames, renameOptions, applying) {
+  if (!renames.length) {
+    return;
+  }
+  if (renameOptions.preview) {
+    console.log(`\nWould rewrite ${renames.length} title(s); rename.preview is on, so titles are left as they are.`);
+  } else {
+    console.log(`\n${applying ? "Rewrote" : "Will rewrite"} ${renames.length} title(s).`);
+  }
+  if (applying) {
+    return;
+  }
+  for (const { from, to, path: folderPath } of renames) {
+    console.log(`  ${JSON.stringify(from)} -> ${JSON.stringify(to)}  [${pathToKey(folderPath)}]`);
+  }
+}
+
+function parseJsonWithOptionalBom(rawText) {
+  const cleaned = String(rawText).replace(/^\uFEFF/, "");
+  return JSON.parse(cleaned);
+}
+
+const CONFIG_COMPOSITION_KEYS = ["extends", "include", "patch"];
+const PATCH_KEYS = ["path", "add", "remove", "disabled"];
+
+function splitCategoryPath(value) {
+  const segments = Array.isArray(value) ? value : String(value || "").split(">");
+  return segments.map((segment) => String(segment).trim()).filter(Boolean);
+}
+
+// Every node whose folder path equals the given path; duplicate sibling names all count.
+function findCategoryNodes(categories, segments, depth = 0) {
+  const nodes = safeArray(categories).filter((node) => normalize(node.name) === normalize(segments[depth]));
+  if (depth === segments.length - 1) {
+    return nodes;
+  }
+  return nodes.flatMap((node) => findCategoryNodes(node.children, segments, depth + 1));
+}
+
+function removeCategoryNode(categories, target) {
+  const index = safeArray(categories).indexOf(target);
+  if (index >= 0) {
+    categories.splice(index, 1);
+    return true;
+  }
+  return safeArray(categories).some((node) => removeCategoryNode(node.children, target));
+}
+
+function applyCategoryPatch(categories, patch, source) {
+  const label = `${source}: patch ${JSON.stringify(patch?.path)}`;
+  if (!isPlainObject(patch)) {
+    throw new Error(`${source}: each patch entry must be an object.`);
+  }
+  const unknownKeys = Object.keys(patch).filter((key) => !PATCH_KEYS.includes(key));
+  if (unknownKeys.length) {
+    throw new Error(`${label} has unknown key(s) ${unknownKeys.join(", ")}; expected ${PATCH_KEYS.join(", ")}.`);
+  }
+  const segments = splitCategoryPath(patch.path);
+  const nodes = segments.length ? findCategoryNodes(categories, segments) : [];
+  if (!nodes.length) {
+    throw new Error(`${label} does not match any category.`);
+  }
+
+  for (const node of nodes) {
+    if (patch.disabled) {
+      removeCategoryNode(categories, node);
+      continue;
+    }
+    for (const [operation, lists] of [["add", patch.add], ["remove", patch.remove]]) {
+      if (lists === undefined) {
+        continue;
+      }
+      if (!isPlainObject(lists)) {
+        throw new Error(`${label}: ${operation} must be an object of match keys to lists.`);
+      }
+      for (const [key, values] of Object.entries(lists)) {
+        if (![...MATCH_TEXT_KEYS, ...MATCH_REGEX_KEYS, ...MATCH_URL_KEYS].includes(key)) {
+          throw new Error(`${label}: ${operation}.${key} is not a match list key.`);
+        }
+        node.match = isPlainObject(node.match) ? node.match : {};
+        const current = safeArray(node.match[key]);
+        if (operation === "add") {
+          const known = new Set(current.map(normalize));
+          node.match[key] = [...current, ...safeArray(values).filter((value) => !known.has(normalize(value)))];
+        } else {
+          const removed = new Set(safeArray(values).map(normalize));
+          node.match[key] = current.filter((value) => !removed.has(normalize(value)));
+        }
+      }
+    }
+  }
+}
+
+// Plugin paths are relative to the config file that names them; make them absolute before files are merged.
+function resolvePluginPaths(categories, baseDir) {
+  for (const node of safeArray(categories)) {
+    for (const key of ["plugin", "excludePlugin"]) {
+      if (isPlainObject(node?.match) && typeof node.match[key] === "string") {
+        node.match[key] = path.resolve(baseDir, node.match[key]);
+      }
+    }
+    resolvePluginPaths(node?.children, baseDir);
+  }
+}
+
+// Where each category of a loaded config is written in its own file ({ file, keys }), so --review edits the right one.
+const categorySources = new WeakMap();
+
+function recordCategorySources(categories, file, keys) {
+  safeArray(categories).forEach((node, index) => {
+    if (isPlainObject(node)) {
+      categorySources.set(node, { file, keys: [...keys, index] });
+      recordCategorySources(node.children, file, [...keys, index, "children"]);
+    }
+  });
+}
+
+// Resolves one config file: settings from "extends" are overridden key by key, categories are combined
+// (base first, then "include" files, then the file's own), and "patch" edits the combined tree.
+async function loadConfig(configPath, chain = []) {
+  if (chain.includes(configPath)) {
+    throw new Error(`Config files extend or include each other in a loop: ${[...chain, configPath].join(" -> ")}`);
+  }
+  let raw;
+  try {
+    raw = parseJsonWithOptionalBom(await fs.readFile(configPath, "utf8"));
+  } catch (err) {
+    const from = chain.length ? ` (referenced from ${chain[chain.length - 1]})` : "";
+    throw new Error(`Could not read config ${configPath}${from}: ${err.message}`);
+  }
+  if (Array.isArray(raw)) {
+    recordCategorySources(raw, configPath, []);
+    return { categories: raw };
+  }
+  if (!isPlainObject(raw)) {
+    return raw;
+  }
+
+  const nextChain = [...chain, configPath];
+  const baseDir = path.dirname(configPath);
+  resolvePluginPaths(raw.categories, baseDir);
+  const base = raw.extends ? await loadConfig(path.resolve(baseDir, String(raw.extends)), nextChain) : {};
+  const included = [];
+  for (const includePath of safeArray(raw.include)) {
+    included.push(...safeArray((await loadConfig(path.resolve(baseDir, String(includePath)), nextChain)).categories));
+  }
+
+  const config = { ...base };
+  for (const [key, value] of Object.entries(raw)) {
+    if (!CONFIG_COMPOSITION_KEYS.includes(key) && key !== "categories") {
+      config[key] = value;
+    }
+  }
+  // Patches mutate nodes in place, so work on copies rather than the objects parsed from the base file.
+  const categories = structuredClone([...safeArray(base.categories), ...included, ...safeArray(raw.categories)]);
+  const ownStart = categories.length - safeArray(raw.categories).length;
+  recordCategorySources(categories.slice(ownStart), configPath, ["categories"]);
+  for (const patch of safeArray(raw.patch)) {
+    applyCategoryPatch(categories, patch, configPath);
+  }
+  if (categories.length || raw.categories !== undefined || base.categories !== undefined) {
+    config.categories = categories;
+  }
+  return config;
+}
+
+function isChromeRunning(browser = "chrome") {
+  const processNames = BROWSERS[browser].processes[getPlatformKey()].map(normalize);
+  try {
+    if (process.platform === "win32") {
+      const output = execSync(`tasklist /FI "IMAGENAME eq ${processNames[0]}" /NH`, {
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"]
+      });
+      return output.toLowerCase().includes(processNames[0]);
+    }
+
+    const output = execSync("ps -A -o comm", {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"]
+    });
+    return output
+      .split(/\r?\n/)
+      .map((line) => normalize(path.basename(line.trim())))
+      .some((name) => processNames.includes(name));
+  } catch {
+    return false;
+  }
+}
+
+function updateChecksumUtf8(hash, value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  hash.update(Buffer.from(String(value), "utf8"));
+}
+
+function updateChecksumUtf16(hash, value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  hash.update(Buffer.from(String(value), "utf16le"));
+}
+
+function updateChecksumWithNode(hash, node) {
+  if (!node || typeof node !== "object") {
+    return;
+  }
+
+  const nodeType = node.type === "folder" ? CHECKSUM_TYPE_FOLDER : CHECKSUM_TYPE_URL;
+  const nodeId = String(node.id || "");
+  const nodeName = String(node.name || "");
+
+  updateChecksumUtf8(hash, nodeId);
+  updateChecksumUtf16(hash, nodeName);
+  updateChecksumUtf8(hash, nodeType);
+
+  if (nodeType === CHECKSUM_TYPE_URL) {
+    updateChecksumUtf8(hash, String(node.url || ""));
+    return;
+  }
+
+  for (const child of safeArray(node.children)) {
+    updateChecksumWithNode(hash, child);
+  }
+}
+
+// Writes next to the target, flushes, then renames over it, so a crash leaves either the old file or the new one.
+// `verify` gets the text read back from disk and can throw to abandon the write before the rename.
+async function writeFileAtomic(filePath, contents, verify = null) {
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(contents, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    if (verify) {
+      verify(await fs.readFile(tempPath, "utf8"));
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Chrome rejects a file whose stored checksum does not match its contents, so check the bytes that hit the disk.
+function verifyWrittenChecksum(writtenText) {
+  const written = parseJsonWithOptionalBom(writtenText);
+  const checksum = computeBookmarksChecksum(written);
+  if (String(written.checksum || "").toLowerCase() !== checksum) {
+    throw new Error(describeVerificationFailure([`! checksum of the written file is ${checksum}, not ${written.checksum}`]));
+  }
+}
+
+// Chrome keeps the previous tree in a sibling "<file>.bak" and may load it instead; keep it in step with the new file.
+async function writeBookmarksFile(bookmarksPath, data) {
+  const contents = JSON.stringify(data, null, 2);
+  await writeFileAtomic(bookmarksPath, contents, verifyWrittenChecksum);
+  const chromeBackupPath = `${bookmarksPath}.bak`;
+  if (await pathExists(chromeBackupPath)) {
+    await writeFileAtomic(chromeBackupPath, contents, verifyWrittenChecksum);
+    return chromeBackupPath;
+  }
+  return null;
+}
+
+function collectUrlNodes(node, output = []) {
+  for (const child of safeArray(node?.children)) {
+    if (child?.type === "url") {
+      output.push(child);
+    } else if (child?.type === "folder") {
+      collectUrlNodes(child, output);
+    }
+  }
+  return output;
+}
+
+function collectAllNodes(node, output = []) {
+  output.push(node);
+  for (const child of safeArray(node?.children)) {
+    collectAllNodes(child, output);
+  }
+  return output;
+}
+
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+}
+
+const VERIFY_MAX_LISTED = 20;
+
+// Checks the sorted data against the file it replaces before anything is written: every bookmark URL and GUID
+// must still be there except the planned removals (dropped duplicates) and planned URL rewrites, node IDs and
+// GUIDs must be unique, and the checksum must survive a serialize/parse round trip.
+function verifySortedBookmarks(before, after, expected = {}) {
+  const removals = safeArray(expected.removed);
+  const urlRewrites = safeArray(expected.urlRewrites);
+  const roots = (data) => Object.values(data?.roots || {}).filter((root) => root && typeof root === "object");
+  const beforeUrls = roots(before).flatMap((root) => collectUrlNodes(root));
+  const afterUrls = roots(after).flatMap((root) => collectUrlNodes(root));
+  const problems = [];
+
+  const expectedUrls = countValues(beforeUrls.map((node) => String(node.url || "")));
+  for (const url of [...removals.map((node) => node.url), ...urlRewrites.map((rewrite) => rewrite.from)]) {
+    expectedUrls.set(String(url || ""), (expectedUrls.get(String(url || "")) || 0) - 1);
+  }
+  for (const { to } of urlRewrites) {
+    expectedUrls.set(String(to || ""), (expectedUrls.get(String(to || "")) || 0) + 1);
+  }
+  const actualUrls = countValues(afterUrls.map((node) => String(node.url || "")));
+  for (const url of new Set([...expectedUrls.keys(), ...actualUrls.keys()])) {
+    const difference = (actualUrls.get(url) || 0) - (expectedUrls.get(url) || 0);
+    if (difference < 0) {
+      problems.push(`- missing    ${url}${difference < -1 ? ` (x${-difference})` : ""}`);
+    } else if (difference > 0) {
+      problems.push(`+ unexpected ${url}${difference > 1 ? ` (x${difference})` : ""}`);
+    }
+  }
+
+  const removedGuids = new Set(removals.map((node) => node.guid).filter(Boolean));
+  const afterGuids = new Set(afterUrls.map((node) => node.guid).filter(Boolean));
+  for (const node of beforeUrls) {
+    if (node.guid && !removedGuids.has(node.guid) && !afterGuids.has(node.guid)) {
+      problems.push(`- missing guid ${node.guid} (${node.url})`);
+    }
+  }
+
+  const allNodes = roots(after).flatMap((root) => collectAllNodes(root));
+  for (const [key, label] of [["id", "id"], ["guid", "guid"]]) {
+    for (const [value, count] of countValues(allNodes.map((node) => node[key]).filter(Boolean))) {
+      if (count > 1) {
+        problems.push(`! duplicate ${label} ${value} (${count} nodes)`);
+      }
+    }
+  }
+
+  return { ok: !problems.length, problems, bookmarkCount: afterUrls.length };
+}
+
+function describeVerificationFailure(problems) {
+  const listed = problems.slice(0, VERIFY_MAX_LISTED).map((line) => `  ${line}`);
+  if (problems.length > VERIFY_MAX_LISTED) {
+    listed.push(`  ... and ${problems.length - VERIFY_MAX_LISTED} more`);
+  }
+  return `Verification failed; the bookmarks file was left untouched:\n${listed.join("\n")}`;
+}
+
+function computeBookmarksChecksum(data) {
+  const hash = crypto.createHash("md5");
+  for (const rootName of ["bookmark_bar", "other", "synced"]) {
+    const node = data?.roots?.[rootName];
+    if (!node) {
+      continue;
+    }
+    updateChecksumWithNode(hash, node);
+  }
+  return hash.digest("hex").toLowerCase();
+}
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function chromeMicrosToUnixSeconds(value) {
+  const raw = String(value || "0").trim();
+  if (!raw || raw === "0") {
+    return null;
+  }
+
+  try {
+    const micros = BigInt(raw);
+    const unixMicros = micros - EPOCH_OFFSET_MICROSECONDS;
+    if (unixMicros <= 0n) {
+      return null;
+    }
+    return Number(unixMicros / 1000000n);
+  } catch {
+    return null;
+  }
+}
+
+function unixSecondsToChromeMicros(value) {
+  const raw = String(value || "").trim();
+  if (!/^\d+$/.test(raw) || raw === "0") {
+    return null;
+  }
+  return (BigInt(raw) * 1000000n + EPOCH_OFFSET_MICROSECONDS).toString();
+}
+
+function renderBookmarkNodeHtml(node, indentLevel) {
+  const indent = "  ".repeat(indentLevel);
+  if (node.type === "url") {
+    const addDate = chromeMicrosToUnixSeconds(node.date_added);
+    const modDate = chromeMicrosToUnixSeconds(node.date_modified);
+    const addDateAttr = addDate ? ` ADD_DATE="${addDate}"` : "";
+    const modDateAttr = modDate ? ` LAST_MODIFIED="${modDate}"` : "";
+    return `${indent}<DT><A HREF="${escapeHtml(node.url)}"${addDateAttr}${modDateAttr}>${escapeHtml(node.name)}</A>\n`;
+  }
+
+  const addDate = chromeMicrosToUnixSeconds(node.date_added);
+  const modDate = chromeMicrosToUnixSeconds(node.date_modified);
+  const addDateAttr = addDate ? ` ADD_DATE="${addDate}"` : "";
+  const modDateAttr = modDate ? ` LAST_MODIFIED="${modDate}"` : "";
+  let output = `${indent}<DT><H3${addDateAttr}${modDateAttr}>${escapeHtml(node.name)}</H3>\n`;
+  output += `${indent}<DL><p>\n`;
+  for (const child of safeArray(node.children)) {
+    output += renderBookmarkNodeHtml(child, indentLevel + 1);
+  }
+  output += `${indent}</DL><p>\n`;
+  return output;
+}
+
+function buildBookmarksHtml(nodes) {
+  let html = "";
+  html += "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n";
+  html += "<META HTTP-EQUIV=\"Content-Type\" CONTENT=\"text/html; charset=UTF-8\">\n";
+  html += "<TITLE>Bookmarks</TITLE>\n";
+  html += "<H1>Bookmarks</H1>\n";
+  html += "<DL><p>\n";
+  for (const node of nodes) {
+    html += renderBookmarkNodeHtml(node, 1);
+  }
+  html += "</DL><p>\n";
+  return html;
+}
+
+function exportDates(node) {
+  return {
+    dateAdded: chromeMicrosToUnixSeconds(node.date_added),
+    dateLastUsed: chromeMicrosToUnixSeconds(node.date_last_used)
+  };
+}
+
+function escapeMarkdownText(value) {
+  return String(value || "").replace(/([\\`*_[\]<>])/g, "\\$1");
+}
+
+function markdownLinkTarget(url) {
+  return String(url || "").replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+}
+
+// Folders become headings down to level 6, deeper folders become nested bold list items.
+// Empty folders are left out so published link lists stay readable.
+function renderBookmarkNodeMarkdown(node, depth, listDepth) {
+  const indent = "  ".repeat(listDepth);
+  if (node.type === "url") {
+    const title = escapeMarkdownText(node.name || node.url);
+    return `${indent}- [${title}](${markdownLinkTarget(node.url)})\n`;
+  }
+  if (!countBookmarksInNode(node)) {
+    return "";
+  }
+
+  let output;
+  let childListDepth = listDepth;
+  if (depth <= 6 && listDepth === 0) {
+    output = `\n${"#".repeat(depth)} ${escapeMarkdownText(node.name)}\n\n`;
+  } else {
+    output = `${indent}- **${escapeMarkdownText(node.name)}**\n`;
+    childListDepth += 1;
+  }
+
+  const children = safeArray(node.children);
+  const bookmarks = children.filter((child) => child.type === "url");
+  const folders = children.filter((child) => child.type !== "url");
+  for (const child of bookmarks) {
+    output += renderBookmarkNodeMarkdown(child, depth + 1, childListDepth);
+  }
+  for (const child of folders) {
+    output += renderBookmarkNodeMarkdown(child, depth + 1, childListDepth);
+  }
+  return output;
+}
+
+function buildBookmarksMarkdown(nodes) {
+  let markdown = "# Bookmarks\n";
+  for (const node of nodes) {
+    markdown += renderBookmarkNodeMarkdown(node, 2, 0);
+  }
+  return markdown.replace(/\n{3,}/g, "\n\n");
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function collectCsvRows(nodes, folderPath, rows) {
+  for (const node of safeArray(nodes)) {
+    if (node.type === "url") {
+      const { dateAdded, dateLastUsed } = exportDates(node);
+      rows.push([pathToKey(folderPath), node.name, node.url, hostFromUrl(node.url), dateAdded, dateLastUsed]);
+      continue;
+    }
+    collectCsvRows(node.children, [...folderPath, node.name], rows);
+  }
+  return rows;
+}
+
+function buildBookmarksCsv(nodes) {
+  const rows = [["category_path", "title", "url", "host", "date_added", "date_last_used"]];
+  collectCsvRows(nodes, [], rows);
+  return `${rows.map((row) => row.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+function toExportJsonNode(node) {
+  if (node.type === "url") {
+    return { type: "url", name: node.name, url: node.url, ...exportDates(node) };
+  }
+  return {
+    type: "folder",
+    name: node.name,
+    dateAdded: chromeMicrosToUnixSeconds(node.date_added),
+    children: safeArray(node.children).map(toExportJsonNode)
+  };
+}
+
+function buildBookmarksJson(nodes) {
+  return `${JSON.stringify({ type: "folder", name: "Bookmarks", children: nodes.map(toExportJsonNode) }, null, 2)}\n`;
+}
+
+function renderBookmarkNodeOpml(node, indentLevel) {
+  const indent = "  ".repeat(indentLevel);
+  if (node.type === "url") {
+    const addDate = chromeMicrosToUnixSeconds(node.date_added);
+    const created = addDate ? ` created="${new Date(addDate * 1000).toUTCString()}"` : "";
+    return `${indent}<outline text="${escapeHtml(node.name)}" type="link" url="${escapeHtml(node.url)}"${created}/>\n`;
+  }
+
+  if (!safeArray(node.children).length) {
+    return `${indent}<outline text="${escapeHtml(node.name)}"/>\n`;
+  }
+  let output = `${indent}<outline text="${escapeHtml(node.name)}">\n`;
+  for (const child of safeArray(node.children)) {
+    output += renderBookmarkNodeOpml(child, indentLevel + 1);
+  }
+  output += `${indent}</outline>\n`;
+  return output;
+}
+
+function buildBookmarksOpml(nodes) {
+  let opml = "";
+  opml += "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n";
+  opml += "<opml version=\"2.0\">\n";
+  opml += "  <head>\n";
+  opml += "    <title>Bookmarks</title>\n";
+  opml += `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n`;
+  opml += "  </head>\n";
+  opml += "  <body>\n";
+  for (const node of nodes) {
+    opml += renderBookmarkNodeOpml(node, 2);
+  }
+  opml += "  </body>\n";
+  opml += "</opml>\n";
+  return opml;
+}
+
+const EXPORT_BUILDERS = {
+  html: buildBookmarksHtml,
+  markdown: buildBookmarksMarkdown,
+  md: buildBookmarksMarkdown,
+  csv: buildBookmarksCsv,
+  json: buildBookmarksJson,
+  opml: buildBookmarksOpml
+};
+
+// Renders Chrome bookmark nodes (e.g. plan.destinationChildren) as html, markdown, csv, json or opml text.
+function buildExport(format, nodes) {
+  const builder = EXPORT_BUILDERS[format];
+  if (!builder) {
+    throw new Error(`Unknown export format '${format}'. Use one of: ${Object.keys(EXPORT_BUILDERS).join(", ")}.`);
+  }
+  return builder(nodes);
+}
+
+async function writeExport(format, filePath, nodes) {
+  const exportPath = path.resolve(filePath);
+  await ensureDir(path.dirname(exportPath));
+  await fs.writeFile(exportPath, buildExport(format, nodes), "utf8");
+  return exportPath;
+}
+
+function decodeHtmlEntities(value) {
+  return String(value || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number.parseInt(dec, 10)))
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function parseHtmlAttributes(rawAttributes) {
+  const attributes = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(rawAttributes)) !== null) {
+    attributes[match[1].toUpperCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attributes;
+}
+
+function htmlInnerText(rawHtml) {
+  return decodeHtmlEntities(String(rawHtml || "").replace(/<[^>]*>/g, "")).trim();
+}
+
+// Parses a Netscape bookmark file into a plain folder tree: { name, attributes, children } / { url, name, attributes }.
+function parseNetscapeBookmarkTree(html) {
+  const top = { name: "", attributes: {}, children: [] };
+  const stack = [];
+  let pendingFolder = null;
+  const pattern = /<(\/?)(dl|h3|a)\b([^>]*)>([\s\S]*?)(?=<)/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const [, closing, rawTag, rawAttributes, text] = match;
+    const tag = rawTag.toLowerCase();
+    const parent = stack[stack.length - 1];
+
+    if (tag === "dl") {
+      if (closing) {
+        stack.pop();
+      } else {
+        stack.push(pendingFolder || (stack.length ? parent : top));
+        pendingFolder = null;
+      }
+      continue;
+    }
+    if (closing || !parent) {
+      continue;
+    }
+
+    const attributes = parseHtmlAttributes(rawAttributes);
+    if (tag === "h3") {
+      pendingFolder = { name: htmlInnerText(text), attributes, children: [] };
+      parent.children.push(pendingFolder);
+    } else if (attributes.HREF) {
+      parent.children.push({ url: attributes.HREF, name: htmlInnerText(text), attributes });
+    }
+  }
+
+  return top;
+}
+
+function classifyHtmlTopFolder(folder) {
+  const name = normalize(folder.name).trim();
+  if (folder.attributes.PERSONAL_TOOLBAR_FOLDER === "true" || ["bookmarks bar", "bookmarks toolbar", "favorites bar"].includes(name)) {
+    return "bookmark_bar";
+  }
+  if (folder.attributes.UNFILED_BOOKMARKS_FOLDER === "true" || name === "other bookmarks") {
+    return "other";
+  }
+  if (name === "mobile bookmarks") {
+    return "synced";
+  }
+  return null;
+}
+
+// Builds a Chrome-shaped { roots } object from a Netscape export so the normal pipeline can run on it.
+function bookmarksDataFromHtml(html) {
+  let lastId = 0;
+  const nextId = () => String(++lastId);
+
+  const toChromeNode = (item) => {
+    const dateAdded = unixSecondsToChromeMicros(item.attributes.ADD_DATE) || "0";
+    const dateModified = unixSecondsToChromeMicros(item.attributes.LAST_MODIFIED);
+    if (item.url !== undefined) {
+      const node = {
+        type: "url",
+        id: nextId(),
+        guid: crypto.randomUUID(),
+        name: item.name,
+        url: item.url,
+        date_added: dateAdded,
+        date_last_used: unixSecondsToChromeMicros(item.attributes.LAST_VISIT) || "0"
+      };
+      if (dateModified) {
+        node.date_modified = dateModified;
+      }
+      return node;
+    }
+    return {
+      type: "folder",
+      id: nextId(),
+      guid: crypto.randomUUID(),
+      name: item.name,
+      date_added: dateAdded,
+      date_last_used: "0",
+      date_modified: dateModified || dateAdded,
+      children: item.children.map(toChromeNode)
+    };
+  };
+
+  const rootTitles = { bookmark_bar: "Bookmarks bar", other: "Other bookmarks", synced: "Mobile bookmarks" };
+  const roots = {};
+  for (const [rootName, title] of Object.entries(rootTitles)) {
+    roots[rootName] = toChromeNode({ name: title, attributes: {}, children: [] });
+  }
+
+  // Toolbar / unfiled / mobile folders become roots; any other top-level item lands in "other" as-is,
+  // so its folder name stays in the bookmark's source path for pathContains/pathRegex rules.
+  for (const item of parseNetscapeBookmarkTree(html).children) {
+    const rootName = item.url === undefined ? classifyHtmlTopFolder(item) : null;
+    if (rootName) {
+      roots[rootName].children.push(...item.children.map(toChromeNode));
+    } else {
+      roots.other.children.push(toChromeNode(item));
+    }
+  }
+
+  return { checksum: "", roots, version: 1 };
+}
+
+function selectProfiles(profiles, selection) {
+  if (normalize(selection).trim() === "all") {
+    return profiles;
+  }
+
+  const selected = [];
+  for (const token of String(selection).split(",").map((part) => part.trim()).filter(Boolean)) {
+    const wanted = normalize(token);
+    const profile = profiles.find((candidate) => normalize(candidate.folder) === wanted)
+      || profiles.find((candidate) => normalize(candidate.name) === wanted);
+    if (!profile) {
+      throw new Error(`Profile '${token}' was not found. Use --list-profiles to see available profiles.`);
+    }
+    if (!selected.includes(profile)) {
+      selected.push(profile);
+    }
+  }
+  return selected;
+}
+
+function describeProfile(profile) {
+  return profile.name ? `${profile.folder} (${profile.name})` : profile.folder;
+}
+
+function safeFilenamePart(value) {
+  return String(value || "").replace(/[<>:"/\\|?*]+/g, "_").trim();
+}
+
+function fillProfileTemplate(value, profile) {
+  return String(value)
+    .replace(/\{profile\}/g, safeFilenamePart(profile.folder))
+    .replace(/\{name\}/g, safeFilenamePart(profile.name || profile.folder));
+}
+
+function findProfileOverride(config, profile) {
+  const overrides = isPlainObject(config.profileOverrides) ? config.profileOverrides : {};
+  return overrides[profile.folder] || (profile.name ? overrides[profile.name] : null) || null;
+}
+
+function printProfilesSummary(results) {
+  console.log("\nProfiles summary:");
+  for (const result of results) {
+    const detail = result.status === "ok" ? `${result.bookmarkCount ?? "-"} bookmarks` : result.detail;
+    console.log(`  ${result.status.toUpperCase().padEnd(8, " ")} ${describeProfile(result.profile).padEnd(32, " ")}  ${detail}`);
+  }
+}
+
+async function runProfiles(args, config, configPath) {
+  if (args.profile || args.bookmarksPath || args.inputHtmlPath || args.restoreSource) {
+    throw new Error("--profiles cannot be combined with --profile, --bookmarks-file, --input-html or --restore.");
+  }
+
+  const { profiles } = await listBrowserProfiles(args.browser);
+  const selected = selectProfiles(profiles, args.profiles);
+  if (!selected.length) {
+    throw new Error(`No ${BROWSERS[args.browser].label} profiles found. Use --list-profiles to check.`);
+  }
+
+  const exportPaths = [args.exportHtmlPath, args.reportPath, ...args.exports.map((target) => target.path)].filter(Boolean);
+  if (selected.length > 1 && exportPaths.some((value) => !/\{(profile|name)\}/.test(value))) {
+    throw new Error("With several profiles, export paths must contain {profile} or {name}, e.g. exports\\sorted-{profile}.html");
+  }
+
+  const results = [];
+  for (const profile of selected) {
+    console.log(`\n=== ${describeProfile(profile)} ===`);
+    const result = { profile, status: "ok", detail: "", bookmarkCount: null };
+    results.push(result);
+
+    if (!profile.hasBookmarks && !profile.hasAccountBookmarks) {
+      result.status = "skipped";
+      result.detail = "no Bookmarks or AccountBookmarks file";
+      console.log(`Skipped: ${result.detail}.`);
+      continue;
+    }
+    if (args.apply && profile.hasAccountBookmarks && !args.allowAccountApply) {
+      result.status = "skipped";
+      result.detail = "AccountBookmarks needs --allow-account-apply (or use --export-html)";
+      console.log(`Skipped: ${result.detail}.`);
+      continue;
+    }
+
+    try {
+      const override = findProfileOverride(config, profile);
+      const profileConfig = override ? { ...config, ...override } : config;
+      if (override) {
+        console.log("Using profileOverrides for this profile.");
+        reportConfigErrors(validateConfig(profileConfig), args);
+      }
+
+      const profileArgs = {
+        ...args,
+        profile: profile.folder,
+        backupsDir: path.join(args.backupsDir, safeFilenamePart(profile.folder)),
+        exportHtmlPath: args.exportHtmlPath ? fillProfileTemplate(args.exportHtmlPath, profile) : null,
+        reportPath: args.reportPath ? fillProfileTemplate(args.reportPath, profile) : null,
+        exports: args.exports.map((target) => ({ ...target, path: fillProfileTemplate(target.path, profile) }))
+      };
+      result.bookmarkCount = await runSorter(profileArgs, profileConfig, configPath);
+    } catch (err) {
+      result.status = "failed";
+      result.detail = err.message;
+      console.error(`Error: ${err.message}`);
     }
+  }
+
+  printProfilesSummary(results);
+  if (results.some((result) => result.status === "failed")) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    printHelp();
     return;
   }
 
-  const backupsDir = path.resolve(args.backupsDir);
-  await ensureDir(backupsDir);
-  const backupPath = path.join(
-    backupsDir,
-    `${bookmarksFilename}.${getTimestampForFilename()}.backup.json`
+  const writesBookmarks = args.apply || Boolean(args.restoreSource);
+  if (args.listProfiles) {
+    await printBrowserProfiles(args.browser);
+    return;
+  }
+
+  if (writesBookmarks && !args.force && isChromeRunning(args.browser)) {
+    const browser = BROWSERS[args.browser];
+    throw new Error(
+      `${browser.label} appears to be running. Close all ${browser.processes[getPlatformKey()][0]} processes and retry ${args.restoreSource ? "--restore" : "--apply"}, or use --force.`
+    );
+  }
+
+  // Recovery commands run before the config loads, so a broken config cannot block them.
+  if (args.restoreSource || (args.listBackups && !args.profiles)) {
+    if (args.profiles) {
+      throw new Error("--profiles cannot be combined with --profile, --bookmarks-file, --input-html or --restore.");
+    }
+    await runBackupCommand(args, await resolveBookmarksTarget(args));
+    return;
+  }
+
+  const configPath = path.resolve(args.configPath);
+  const config = await loadConfig(configPath);
+  if (args.printConfig) {
+    console.log(JSON.stringify(config, null, 2));
+    return;
+  }
+  const configProblems = validateConfig(config);
+  const configErrorCount = configProblems.filter((problem) => !problem.warning).length;
+
+  if (args.validateConfig) {
+    console.log(`Config file: ${configPath}`);
+    printConfigProblems(configProblems);
+    console.log(
+      configErrorCount
+        ? `Config is invalid: ${configErrorCount} error(s), ${configProblems.length - configErrorCount} warning(s).`
+        : `Config OK (${configProblems.length} warning(s)).`
+    );
+    if (configErrorCount) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  reportConfigErrors(configProblems, args);
+
+  if (args.review && (args.apply || args.profiles)) {
+    throw new Error("--review only edits the config for one bookmarks file; run it without --apply/--profiles, then --apply.");
+  }
+
+  if (args.profiles) {
+    await runProfiles(args, config, configPath);
+    return;
+  }
+
+  await runSorter(args, config, configPath);
+}
+
+// Settings for one sort, resolved from the config. `destinationRoot` in overrides wins over the config's.
+function resolveSortSettings(config, overrides = {}) {
+  const sourceRoots = safeArray(config.sourceRoots).length
+    ? safeArray(config.sourceRoots)
+    : ["bookmark_bar", "other", "synced"];
+  const destinationRoot = overrides.destinationRoot || config.destinationRoot || "bookmark_bar";
+  validateRootNames(sourceRoots, destinationRoot);
+  const categories = safeArray(config.categories);
+  const rootSortOptions = resolveSortOptions(config.sort, DEFAULT_SORT_OPTIONS);
+  return {
+    sourceRoots,
+    destinationRoot,
+    organizedFolderName: (config.organizedFolderName || "Organized").trim(),
+    includeEmptyFolders: config.includeEmptyFolders !== false,
+    defaultPath: safeArray(config.defaultPath).length ? safeArray(config.defaultPath) : ["Uncategorized"],
+    categories,
+    classifier: resolveClassifier(config),
+    renameOptions: resolveRenameOptions(config.rename),
+    dedupeOptions: resolveDedupeOptions(config.dedupe),
+    linkCheckOptions: resolveLinkCheckOptions(config.linkCheck),
+    keepOptions: resolveKeepOptions(config.keep),
+    archiveOptions: resolveArchiveOptions(config.archive),
+    dynamicFolderMinCount: config.dynamicFolderMinCount,
+    rootSortOptions,
+    sortIndex: buildSortIndex(categories, rootSortOptions)
+  };
+}
+
+// Gathers what a sort would file (after keep rules, incremental mode and dedupe) without changing the data.
+function collectSortInput(data, settings, options = {}) {
+  const { sourceRoots, destinationRoot, organizedFolderName, keepOptions, dedupeOptions } = settings;
+  const destinationNode = data?.roots?.[destinationRoot];
+  if (!destinationNode) {
+    throw new Error(`Destination root '${destinationRoot}' was not found in Bookmarks file.`);
+  }
+
+  if (options.incremental && !organizedFolderName) {
+    throw new Error("--incremental needs organizedFolderName to be set in the config.");
+  }
+  const existingFolderKeys = collectFolderPathKeys(destinationNode, []);
+  const settledFolder = options.incremental ? findChildFolder(destinationNode, organizedFolderName) : null;
+  const settledEntries = [];
+  if (settledFolder) {
+    collectBookmarksFromNode(settledFolder, settledEntries, destinationRoot, [organizedFolderName], new Set());
+  }
+
+  // The Organized folder is rebuilt anyway, so keep rules only apply outside it.
+  const existingOrganized = organizedFolderName ? findChildFolder(destinationNode, organizedFolderName) : null;
+  const keptNodes = new Set();
+  const keptByRoot = new Map(sourceRoots.map((rootName) => [
+    rootName,
+    extractKeptNodes(
+      data?.roots?.[rootName]?.children,
+      rootName,
+      [],
+      keepOptions,
+      keptNodes,
+      new Set(rootName === destinationRoot && existingOrganized ? [existingOrganized] : [])
+    )
+  ]));
+  const collectedEntries = collectAllBookmarks(
+    data,
+    sourceRoots,
+    new Set([...keptNodes, ...(settledFolder ? [settledFolder] : [])])
+  );
+  // The Organized folder is rebuilt even when its root is not a source root, so what it holds is sorted again.
+  if (existingOrganized && !settledFolder && !sourceRoots.includes(destinationRoot)) {
+    collectBookmarksFromNode(existingOrganized, collectedEntries, destinationRoot, [organizedFolderName], new Set());
+  }
+  const { kept: bookmarkEntries, dropped: duplicateEntries } = dedupeBookmarks(
+    collectedEntries,
+    dedupeOptions,
+    settledEntries
+  );
+
+  return {
+    destinationNode,
+    existingFolderKeys,
+    existingOrganized,
+    settledFolder,
+    settledEntries,
+    keptNodes,
+    keptByRoot,
+    collectedEntries,
+    bookmarkEntries,
+    duplicateEntries
+  };
+}
+
+// Files the collected bookmarks into the category tree and rewrites the source roots of `data` in place.
+async function buildSortPlan(data, settings, input, options = {}) {
+  const {
+    sourceRoots,
+    destinationRoot,
+    organizedFolderName,
+    includeEmptyFolders,
+    defaultPath,
+    categories,
+    classifier,
+    renameOptions,
+    linkCheckOptions,
+    rootSortOptions,
+    sortIndex
+  } = settings;
+  const { destinationNode, existingOrganized, settledFolder, keptByRoot, collectedEntries, bookmarkEntries } = input;
+
+  const tree = createTreeNode();
+
+  if (includeEmptyFolders) {
+    addConfiguredFolders(tree, categories, []);
+  }
+
+  const linkResults = options.checkLinks
+    ? await checkLinks(bookmarkEntries, linkCheckOptions, options.httpClient)
+    : new Map();
+
+  const renames = [];
+  const placements = bookmarkEntries.map((bookmarkEntry) => {
+    const linkResult = linkResults.get(bookmarkEntry);
+    const isDead = linkResult?.state === "dead" && linkCheckOptions.deadLinksPath;
+    const archivePath = isDead ? null : archivePathFor(bookmarkEntry.bookmark, settings.archiveOptions);
+    const { path: folderPath, dynamicSegments, scoring } = isDead || archivePath
+      ? { path: archivePath || linkCheckOptions.deadLinksPath, dynamicSegments: [] }
+      : classifyBookmarkDetailed(bookmarkEntry, categories, defaultPath, null, classifier);
+    const bookmark = sanitizeBookmark(bookmarkEntry.bookmark, { renameOptions, folderPath, renames });
+    if (linkResult?.state === "redirect" && linkResult.permanent && linkCheckOptions.rewritePermanentRedirects) {
+      bookmark.url = linkResult.finalUrl;
+    }
+    return {
+      entry: bookmarkEntry,
+      bookmark,
+      path: folderPath,
+      dynamicSegments,
+      scoring,
+      deadLink: Boolean(isDead),
+      archived: Boolean(archivePath)
+    };
+  });
+  applyDynamicFolderThreshold(placements, settings.dynamicFolderMinCount);
+
+  const stats = new Map();
+  for (const placement of placements) {
+    ensurePath(tree, placement.path, placement.dynamicSegments).bookmarks.push(placement.bookmark);
+    const key = pathToKey(placement.path);
+    stats.set(key, (stats.get(key) || 0) + 1);
+  }
+
+  sortBookmarksInTree(tree, sortIndex, rootSortOptions);
+
+  // A destination that is not a source root is not being sorted: everything in it stays, like kept items.
+  const destinationKept = keptByRoot.get(destinationRoot) ?? safeArray(destinationNode.children)
+    .map((node, index) => ({ index, node }))
+    .filter((item) => item.node !== existingOrganized);
+  const nextId = createIdGenerator(data);
+  let destinationChildren;
+  if (settledFolder) {
+    mergeTreeIntoChromeFolder(settledFolder, tree, nextId);
+    destinationChildren = [settledFolder];
+  } else {
+    const movedNodes = new Set(collectedEntries.map((entry) => entry.bookmark));
+    // Without an Organized folder, categories are built straight into the root; leave out what stays there so
+    // it is neither reused for a category nor carried over as a stale folder.
+    const keptIndexes = new Set(destinationKept.map((item) => item.index));
+    const categorizedChildren = treeToChromeChildrenOrdered(
+      tree,
+      nextId,
+      organizedFolderName
+        ? existingOrganized
+        : { ...destinationNode, children: safeArray(destinationNode.children).filter((_, index) => !keptIndexes.has(index)) },
+      movedNodes
+    );
+    destinationChildren = organizedFolderName
+      ? [createChromeFolder(organizedFolderName, categorizedChildren, nextId, existingOrganized)]
+      : categorizedChildren;
+  }
+
+  const organizedIndex = safeArray(destinationNode.children).indexOf(existingOrganized);
+  for (const rootName of sourceRoots) {
+    const node = data?.roots?.[rootName];
+    if (node && rootName !== destinationRoot) {
+      setRootChildren(node, keptByRoot.get(rootName).map((item) => item.node));
+    }
+  }
+  setRootChildren(
+    destinationNode,
+    mergeKeptChildren(destinationKept, destinationChildren, organizedIndex >= 0 ? organizedIndex : Infinity)
   );
+
+  const movePlan = buildMovePlan(placements, input.duplicateEntries, {
+    destinationRoot,
+    destinationPrefix: organizedFolderName ? [organizedFolderName] : [],
+    defaultPath,
+    existingFolderKeys: input.existingFolderKeys
+  });
+
+  return { ...input, data, settings, linkResults, renames, placements, stats, destinationChildren, movePlan };
+}
+
+/**
+ * Library entry point: sorts a copy of `data` (as returned by loadBookmarks) with the given config.
+ * Options: destinationRoot, incremental, checkLinks, httpClient. The input is left untouched; the sorted
+ * copy is `plan.data`, and `plan.destinationChildren` is what the exports take.
+ */
+async function planSort(data, config, options = {}) {
+  const copy = structuredClone(data);
+  const settings = resolveSortSettings(config, options);
+  return buildSortPlan(copy, settings, collectSortInput(copy, settings, options), options);
+}
+
+/**
+ * Reads a Chrome Bookmarks/AccountBookmarks JSON file, or a Netscape bookmarks HTML export
+ * (chosen by the .html/.htm extension unless options.format is "json" or "html").
+ */
+async function loadBookmarks(filePath, options = {}) {
+  const raw = await fs.readFile(filePath, "utf8");
+  const format = options.format || (/\.html?$/i.test(filePath) ? "html" : "json");
+  return format === "html" ? bookmarksDataFromHtml(raw) : parseJsonWithOptionalBom(raw);
+}
+
+/**
+ * Writes sorted data over a Chrome bookmarks file: backs up the current file into options.backupsDir
+ * (default "backups"), stamps a fresh checksum, and with options.backupRetention prunes old backups.
+ * Accepts a plan from planSort or the bookmarks data itself. Like --apply, it refuses to run while
+ * options.browser (default "chrome") is open unless options.force is set, and refuses AccountBookmarks
+ * files unless options.allowAccountApply is set.
+ */
+async function applySortPlan(planOrData, bookmarksPath, options = {}) {
+  const plan = planOrData?.movePlan ? planOrData : null;
+  const data = plan ? plan.data : planOrData;
+  const backupsDir = path.resolve(options.backupsDir || "backups");
+  const bookmarksFilename = path.basename(bookmarksPath);
+  const browser = options.browser || "chrome";
+
+  if (bookmarksFilename.toLowerCase() === "accountbookmarks" && !options.allowAccountApply) {
+    throw new Error("Refusing to write AccountBookmarks; pass allowAccountApply to override.");
+  }
+  if (!options.force && isChromeRunning(browser)) {
+    throw new Error(`${BROWSERS[browser].label} appears to be running. Close it first, or pass force to write anyway.`);
+  }
+
+  const rawBookmarks = await fs.readFile(bookmarksPath, "utf8");
+  const verification = verifySortedBookmarks(parseJsonWithOptionalBom(rawBookmarks), data, {
+    // Bookmarks already in the Organized folder stay there in incremental mode, even when they are duplicates.
+    removed: plan
+      ? plan.duplicateEntries
+        .filter(({ entry }) => !plan.settledEntries.includes(entry))
+        .map(({ entry }) => entry.bookmark)
+      : [],
+    urlRewrites: plan
+      ? plan.placements
+        .filter((placement) => placement.bookmark.url !== placement.entry.bookmark.url)
+        .map((placement) => ({ from: placement.entry.bookmark.url, to: placement.bookmark.url }))
+      : []
+  });
+  if (!verification.ok) {
+    throw new Error(describeVerificationFailure(verification.problems));
+  }
+
+  await ensureDir(backupsDir);
+  const backupPath = await getAvailableBackupPath(backupsDir, bookmarksFilename);
   await fs.writeFile(backupPath, rawBookmarks, "utf8");
 
   data.checksum = computeBookmarksChecksum(data);
-  await fs.writeFile(bookmarksPath, JSON.stringify(data, null, 2), "utf8");
+  const chromeBackupPath = await writeBookmarksFile(bookmarksPath, data);
+
+  const removedBackups = options.backupRetention
+    ? await pruneBackups(backupsDir, bookmarksFilename, options.backupRetention)
+    : [];
+  return { backupPath, removedBackups, verification, chromeBackupPath };
+}
+
+// Runs the whole pipeline for one bookmarks file. Returns the number of bookmarks filed, or null for report-only modes.
+const ACCOUNT_BOOKMARKS_REFUSAL =
+  "Refusing direct write to AccountBookmarks by default. Use --export-html and import in Chrome (sync-safe), or pass --allow-account-apply to override.";
+
+// Resolves the Bookmarks file and backup folder from the command line alone, without the config.
+async function resolveBookmarksTarget(args) {
+  const inputHtmlPath = args.inputHtmlPath ? path.resolve(args.inputHtmlPath) : null;
+  if (inputHtmlPath && (args.apply || args.restoreSource || args.listBackups)) {
+    throw new Error("--input-html only reads an export; write the sorted result with --export-html instead.");
+  }
+
+  const profileName = inputHtmlPath || args.bookmarksPath
+    ? null
+    : args.profile || await detectLastUsedProfileName(args.browser);
+  const bookmarksPath = inputHtmlPath || (args.bookmarksPath
+    ? path.resolve(args.bookmarksPath)
+    : await detectDefaultBookmarksPath(profileName, args.browser));
+
+  return {
+    inputHtmlPath,
+    profileName,
+    bookmarksPath,
+    bookmarksFilename: path.basename(bookmarksPath),
+    backupsDir: path.resolve(args.backupsDir),
+  };
+}
+
+// Handles --list-backups and --restore, which only need the Bookmarks path and the backup folder.
+async function runBackupCommand(args, target) {
+  const { bookmarksPath, bookmarksFilename, backupsDir } = target;
+
+  if (args.listBackups) {
+    await printBackupList(backupsDir, bookmarksFilename);
+    return;
+  }
+
+  if (bookmarksFilename.toLowerCase() === "accountbookmarks" && !args.allowAccountApply) {
+    throw new Error(ACCOUNT_BOOKMARKS_REFUSAL);
+  }
+
+  const restorePath = await resolveRestoreSource(args.restoreSource, backupsDir, bookmarksFilename);
+  const result = await restoreFromBackup(restorePath, bookmarksPath, backupsDir);
+  console.log(`Restored from:    ${restorePath}`);
+  console.log(`Bookmarks:        ${result.bookmarkCount}`);
+  if (result.safetyBackupPath) {
+    console.log(`Previous file at: ${result.safetyBackupPath}`);
+  }
+  console.log(`Bookmarks updated: ${bookmarksPath}`);
+}
+
+async function runSorter(args, config, configPath, deps = {}) {
+  const settings = resolveSortSettings(config, { destinationRoot: args.destinationRoot });
+  const { sourceRoots, destinationRoot, organizedFolderName, defaultPath, categories, classifier } = settings;
+  const backupRetention = args.keepBackups !== null
+    ? args.keepBackups
+    : config.backupRetention === undefined || config.backupRetention === null
+      ? null
+      : parseRetentionCount(config.backupRetention, "Config backupRetention");
+
+  const { inputHtmlPath, profileName, bookmarksPath, bookmarksFilename, backupsDir } = await resolveBookmarksTarget(args);
+
+  if (args.listBackups || args.restoreSource) {
+    await runBackupCommand(args, { bookmarksPath, bookmarksFilename, backupsDir });
+    return null;
+  }
+
+  if (
+    args.apply &&
+    bookmarksFilename.toLowerCase() === "accountbookmarks" &&
+    !args.allowAccountApply
+  ) {
+    throw new Error(ACCOUNT_BOOKMARKS_REFUSAL);
+  }
+
+  const data = await loadBookmarks(bookmarksPath, { format: inputHtmlPath ? "html" : "json" });
+  const input = collectSortInput(data, settings, { incremental: args.incremental });
+  const { collectedEntries, bookmarkEntries, duplicateEntries } = input;
+
+  if (args.explainQuery) {
+    explainBookmarks(
+      args.explainQuery,
+      collectedEntries,
+      duplicateEntries,
+      categories,
+      defaultPath,
+      classifier,
+      settings.archiveOptions
+    );
+    return null;
+  }
+
+  if (args.ruleReport) {
+    printRuleReport(buildRuleReport(bookmarkEntries, categories, classifier), bookmarkEntries.length);
+    return null;
+  }
+
+  if (args.suggestRules) {
+    printRuleSuggestions(
+      buildRuleSuggestions(bookmarkEntries, categories, defaultPath, classifier, settings.archiveOptions),
+      bookmarkEntries.length,
+      defaultPath
+    );
+    return null;
+  }
+
+  if (args.review) {
+    const prompter = deps.prompter || createLinePrompter();
+    try {
+      await reviewUnsortedBookmarks(bookmarkEntries, { configPath, bookmarksPath, destinationRoot }, prompter);
+    } finally {
+      prompter.close();
+    }
+    return null;
+  }
+
+  const plan = await buildSortPlan(data, settings, input, { checkLinks: args.checkLinks, httpClient: deps.httpClient });
+  const { keptNodes, placements, linkResults, movePlan, destinationChildren } = plan;
+
+  console.log(`${inputHtmlPath ? "Input HTML:    " : "Bookmarks file:"} ${bookmarksPath}`);
+  if (profileName) {
+    console.log(`Profile:        ${profileName} (${BROWSERS[args.browser].label})`);
+  }
+  console.log(`Config file:    ${configPath}`);
+  console.log(
+    `Mode:           ${args.apply ? "APPLY (write changes)" : "DRY RUN (no write)"}${args.incremental ? ", incremental" : ""}`
+  );
+  console.log(`Source roots:   ${sourceRoots.join(", ")}`);
+  console.log(`Destination:    ${destinationRoot}${organizedFolderName ? `/${organizedFolderName}` : ""}`);
+  summarizeStats(plan.stats, bookmarkEntries.length);
+  if (args.incremental) {
+    console.log(
+      `Incremental: ${bookmarkEntries.length} newly filed, ${plan.settledEntries.length} left in place in ${organizedFolderName}.`
+    );
+  }
+  if (keptNodes.size) {
+    const keptFolders = [...keptNodes].filter((node) => node.type === "folder");
+    console.log(
+      `Kept in place: ${keptFolders.length} folder(s) holding ${keptFolders.reduce((sum, node) => sum + countBookmarksInNode(node), 0)} bookmark(s), ` +
+        `${keptNodes.size - keptFolders.length} individual bookmark(s).`
+    );
+  }
+  summarizeDuplicates(duplicateEntries, settings.dedupeOptions.keep);
+  summarizeRenames(plan.renames, settings.renameOptions, args.apply);
+  summarizeMovePlan(movePlan);
+  if (args.reportPath) {
+    const { jsonPath, htmlPath } = await writeMovePlanReport(args.reportPath, movePlan);
+    console.log(`Plan report:    ${jsonPath}`);
+    console.log(`                ${htmlPath}`);
+  }
+  if (classifier.mode === "score" && !args.apply) {
+    summarizeBorderlineScores(placements, classifier);
+  }
+  if (args.checkLinks) {
+    summarizeLinkResults(linkResults, settings.linkCheckOptions);
+    if (settings.linkCheckOptions.reportPath) {
+      console.log(`Link report:    ${await writeLinkReport(settings.linkCheckOptions.reportPath, linkResults)}`);
+    }
+  }
+
+  if (args.exportHtmlPath) {
+    const exportPath = await writeExport("html", args.exportHtmlPath, destinationChildren);
+    console.log(`HTML export:    ${exportPath}`);
+  }
+  for (const target of args.exports) {
+    const exportPath = await writeExport(target.format, target.path, destinationChildren);
+    console.log(`${`${target.format.toUpperCase()} export:`.padEnd(15, " ")} ${exportPath}`);
+  }
+
+  if (!args.apply) {
+    if (args.exports.length && !args.exportHtmlPath) {
+      console.log("\nExport complete.");
+    } else if (args.exportHtmlPath) {
+      console.log("\nExport complete. Import this HTML from Chrome Bookmark Manager.");
+    } else if (inputHtmlPath) {
+      console.log("\nDry run complete. Add --export-html <path> to write the sorted bookmarks.");
+    } else {
+      console.log("\nDry run complete. Re-run with --apply after closing Chrome.");
+    }
+    return bookmarkEntries.length;
+  }
 
-  console.log(`\nBackup written to: ${backupPath}`);
+  const { backupPath, removedBackups, verification, chromeBackupPath } = await applySortPlan(plan, bookmarksPath, {
+    backupsDir,
+    backupRetention,
+    browser: args.browser,
+    force: args.force,
+    allowAccountApply: args.allowAccountApply
+  });
+  console.log(`\nVerified:          ${verification.bookmarkCount} bookmarks, unique IDs, checksum ok`);
+  console.log(`Backup written to: ${backupPath}`);
   console.log(`Bookmarks updated: ${bookmarksPath}`);
+  if (chromeBackupPath) {
+    console.log(`Also updated:      ${chromeBackupPath} (so Chrome does not fall back to the old tree)`);
+  }
+  if (removedBackups.length) {
+    console.log(`Pruned ${removedBackups.length} old backup(s), keeping the newest ${backupRetention}.`);
+  }
+
+  return bookmarkEntries.length;
 }
 
-main().catch((err) => {
-  console.error(`Error: ${err.message}`);
-  process.exitCode = 1;
-});
+module.exports = {
+  loadConfig,
+  validateConfig,
+  loadBookmarks,
+  planSort,
+  applySortPlan,
+  buildExport,
+  writeExport,
+  matchSpec,
+  evaluateMatchSpec,
+  classifyBookmark,
+  collectAllBookmarks,
+  buildBookmarksHtml,
+  bookmarksDataFromHtml,
+  computeBookmarksChecksum,
+  listBrowserProfiles,
+  getDefaultBookmarksPath,
+  main
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  });
+}